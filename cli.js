@@ -0,0 +1,402 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for the Reserved Usernames library
+ * Run with: ReservedUsername <command> [options]
+ */
+
+const fs = require('fs');
+const { ReservedUsernames, ReservedUsernamesUtils, FileStorage } = require('./name.js');
+
+const USAGE = `Usage: ReservedUsername <command> [options]
+
+Commands:
+  check <username...>          Check usernames (--file <path>, or "-" / piped stdin for bulk)
+  list                         List reserved usernames (--category, --limit, --offset)
+  search                       Search with --prefix, --suffix or --pattern (--limit, --offset)
+  suggest <username>           Suggest available alternatives (--count, --preset)
+  validate <username...>       Validate with --min-length, --max-length, --allowed-chars,
+                               --forbidden <pattern> (repeatable), --similarity, --locale
+                               and --preset github|social|slug
+  import <file>                Import entries (--format, --category); requires --storage
+  export                       Export the list (--format json|csv|txt, --category)
+  stats                        Show statistics
+  update                       Fetch the latest list from upstream sources
+  cache clear                  Delete the local cache
+  serve                        Start the HTTP availability service (--port, --host)
+
+Global options:
+  --json                       Print machine-readable JSON
+  --cache-file <path>          Cache file location
+  --storage <path>             Shared storage file for imported entries
+  --custom <a,b,c>             Extra reserved usernames
+  --confusables                Match homoglyph lookalikes
+  --normalize                  Match leetspeak and separator variants
+  --case-sensitive             Compare usernames case-sensitively
+  --mode <mode>                username (default), subdomain labels or email local parts
+
+Exit codes: 0 success, 1 a username is reserved or invalid, 2 usage or runtime error`;
+
+// Flags that never take a value
+const BOOLEAN_FLAGS = new Set(['json', 'confusables', 'normalize', 'case-sensitive', 'similarity', 'help', 'with-categories']);
+
+// Flags that may be given more than once
+const REPEATABLE_FLAGS = new Set(['forbidden']);
+
+class UsageError extends Error {}
+
+/**
+ * Parse argv into positional arguments and flags
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        let value = inlineValue;
+
+        if (BOOLEAN_FLAGS.has(name)) {
+            value = true;
+        } else if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined) {
+                throw new UsageError(`Missing value for --${name}`);
+            }
+        }
+
+        if (REPEATABLE_FLAGS.has(name)) {
+            flags[name] = (flags[name] || []).concat(value);
+        } else {
+            flags[name] = value;
+        }
+    }
+
+    return { positional, flags };
+}
+
+/**
+ * Parse an integer flag
+ */
+function intFlag(flags, name, fallback) {
+    if (flags[name] === undefined) {
+        return fallback;
+    }
+    const value = parseInt(flags[name], 10);
+    if (Number.isNaN(value) || value < 0) {
+        throw new UsageError(`--${name} must be a non-negative integer`);
+    }
+    return value;
+}
+
+/**
+ * Read a stream to the end
+ */
+function readStream(stream) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => {
+            data += chunk;
+        });
+        stream.on('end', () => resolve(data));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Split text into trimmed, non-empty lines
+ */
+function lines(text) {
+    return text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+}
+
+/**
+ * Create a ReservedUsernames instance from global flags and wait for it to load
+ */
+async function createInstance(flags) {
+    const options = {
+        caseSensitive: Boolean(flags['case-sensitive']),
+        confusables: Boolean(flags.confusables),
+        normalization: Boolean(flags.normalize),
+        customReserved: flags.custom ? flags.custom.split(',').map(name => name.trim()).filter(Boolean) : []
+    };
+
+    if (flags['cache-file']) {
+        options.cacheFile = flags['cache-file'];
+    }
+    if (flags.mode) {
+        options.mode = flags.mode;
+    }
+    if (flags.storage) {
+        options.storage = new FileStorage({ file: flags.storage, watch: false });
+    }
+
+    const reservedUsernames = new ReservedUsernames(options);
+
+    await new Promise((resolve, reject) => {
+        reservedUsernames.once('ready', resolve);
+        reservedUsernames.once('error', reject);
+    });
+
+    return reservedUsernames;
+}
+
+const COMMANDS = {
+    async check(reservedUsernames, positional, flags, io) {
+        let usernames = positional;
+
+        if (flags.file) {
+            usernames = lines(flags.file === '-' ? await readStream(io.stdin) : fs.readFileSync(flags.file, 'utf8'));
+        } else if (usernames.length === 0 || (usernames.length === 1 && usernames[0] === '-')) {
+            if (io.stdin.isTTY) {
+                throw new UsageError('check needs a username, --file <path> or piped input');
+            }
+            usernames = lines(await readStream(io.stdin));
+        }
+
+        const results = usernames.map(username => reservedUsernames.checkDetailed(username));
+
+        if (flags.json) {
+            io.print(JSON.stringify(results, null, 2));
+        } else {
+            results.forEach(result => {
+                const reason = result.isReserved ? ` (${result.strategy} match: ${result.match}, source: ${result.source})` : '';
+                io.print(`${result.username}: ${result.isReserved ? 'RESERVED' : 'available'}${reason}`);
+            });
+        }
+
+        return results.some(result => result.isReserved) ? 1 : 0;
+    },
+
+    async list(reservedUsernames, positional, flags, io) {
+        const options = flags.category === undefined ? {} : { category: flags.category };
+        const offset = intFlag(flags, 'offset', 0);
+        const limit = intFlag(flags, 'limit', Infinity);
+        const usernames = reservedUsernames.getAll(options).sort().slice(offset, offset + limit);
+
+        io.print(flags.json ? JSON.stringify(usernames, null, 2) : usernames.join('\n'));
+        return 0;
+    },
+
+    async search(reservedUsernames, positional, flags, io) {
+        const options = { offset: intFlag(flags, 'offset', 0), limit: intFlag(flags, 'limit', undefined) };
+        let results;
+
+        if (flags.prefix !== undefined) {
+            results = reservedUsernames.getByPrefix(flags.prefix, options);
+        } else if (flags.suffix !== undefined) {
+            results = reservedUsernames.getBySuffix(flags.suffix, options);
+        } else if (flags.pattern !== undefined) {
+            results = reservedUsernames.getByPattern(flags.pattern, options);
+        } else {
+            throw new UsageError('search needs --prefix, --suffix or --pattern');
+        }
+
+        io.print(flags.json ? JSON.stringify(results, null, 2) : results.join('\n'));
+        return 0;
+    },
+
+    async suggest(reservedUsernames, positional, flags, io) {
+        if (positional.length !== 1) {
+            throw new UsageError('suggest needs exactly one username');
+        }
+
+        const suggestions = await reservedUsernames.suggest(positional[0], {
+            count: intFlag(flags, 'count', 5),
+            rules: flags.preset
+        });
+        io.print(flags.json ? JSON.stringify(suggestions, null, 2) : suggestions.join('\n'));
+        return 0;
+    },
+
+    async validate(reservedUsernames, positional, flags, io) {
+        if (positional.length === 0) {
+            throw new UsageError('validate needs at least one username');
+        }
+
+        const rules = {
+            preset: flags.preset,
+            minLength: intFlag(flags, 'min-length', undefined),
+            maxLength: intFlag(flags, 'max-length', undefined),
+            allowedChars: flags['allowed-chars'],
+            forbiddenPatterns: flags.forbidden,
+            similarity: Boolean(flags.similarity)
+        };
+        const results = positional.map(username => reservedUsernames.validateUsername(username, rules, { locale: flags.locale }));
+
+        if (flags.json) {
+            io.print(JSON.stringify(results, null, 2));
+        } else {
+            results.forEach(result => {
+                io.print(`${result.username}: ${result.isValid ? 'VALID' : 'INVALID'}`);
+                result.errors.forEach(error => io.print(`  error: ${error}`));
+                result.warnings.forEach(warning => io.print(`  warning: ${warning}`));
+            });
+        }
+
+        return results.every(result => result.isValid) ? 0 : 1;
+    },
+
+    async import(reservedUsernames, positional, flags, io) {
+        if (positional.length !== 1) {
+            throw new UsageError('import needs exactly one file');
+        }
+        if (!flags.storage) {
+            throw new UsageError('import needs --storage <path> to persist entries');
+        }
+
+        const file = positional[0];
+        const format = flags.format || (file.match(/\.(json|csv|txt)$/) || [])[1] || 'txt';
+        const data = file === '-' ? await readStream(io.stdin) : fs.readFileSync(file, 'utf8');
+        const count = reservedUsernames.import(data, format, { category: flags.category });
+
+        // Wait for the storage write to land before exiting
+        await reservedUsernames.flush();
+
+        io.print(flags.json ? JSON.stringify({ imported: count }) : `Imported ${count} entries`);
+        return 0;
+    },
+
+    async export(reservedUsernames, positional, flags, io) {
+        const format = flags.format || 'json';
+        if (!['json', 'csv', 'txt'].includes(format)) {
+            throw new UsageError(`Unsupported format: ${format}`);
+        }
+
+        const options = { withCategories: Boolean(flags['with-categories']) };
+        if (flags.category !== undefined) {
+            options.category = flags.category;
+        }
+
+        io.print(reservedUsernames.export(format, options));
+        return 0;
+    },
+
+    async stats(reservedUsernames, positional, flags, io) {
+        const stats = reservedUsernames.getStats();
+
+        if (flags.json) {
+            io.print(JSON.stringify(stats, null, 2));
+        } else {
+            io.print(`Total reserved usernames: ${stats.total}`);
+            io.print(`Pattern entries: ${stats.patterns}`);
+            io.print(`Shortest username length: ${stats.shortest}`);
+            io.print(`Longest username length: ${stats.longest}`);
+            io.print(`Average username length: ${stats.average}`);
+            Object.keys(stats.byCategory).sort().forEach(category => {
+                io.print(`  ${category}: ${stats.byCategory[category]}`);
+            });
+        }
+        return 0;
+    },
+
+    async update(reservedUsernames, positional, flags, io) {
+        reservedUsernames.on('fetchError', () => {});
+        const summary = await reservedUsernames.forceUpdate();
+
+        if (flags.json) {
+            io.print(JSON.stringify(Object.assign({ total: reservedUsernames.getAll().length }, summary), null, 2));
+        } else {
+            io.print(`Updated from: ${summary.applied.join(', ') || 'none'}`);
+            if (summary.failed.length > 0) {
+                io.print(`Failed: ${summary.failed.join(', ')}`);
+            }
+            io.print(`Total reserved usernames: ${reservedUsernames.getAll().length}`);
+        }
+        return summary.applied.length > 0 ? 0 : 2;
+    },
+
+    async serve(reservedUsernames, positional, flags, io) {
+        const port = intFlag(flags, 'port', 3000);
+        const host = flags.host || '127.0.0.1';
+        const server = ReservedUsernamesUtils.createHttpServer(reservedUsernames);
+
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, resolve);
+        });
+        io.print(`Listening on http://${host}:${server.address().port}`);
+
+        // Serve until interrupted
+        await new Promise(resolve => {
+            const stop = () => server.close(resolve);
+            process.once('SIGINT', stop);
+            process.once('SIGTERM', stop);
+        });
+        return 0;
+    },
+
+    async cache(reservedUsernames, positional, flags, io) {
+        if (positional[0] !== 'clear') {
+            throw new UsageError('Usage: cache clear');
+        }
+
+        const cleared = await reservedUsernames.clearCacheAsync();
+        io.print(flags.json ? JSON.stringify({ cleared }) : `Cache cleared: ${cleared}`);
+        return 0;
+    }
+};
+
+/**
+ * Run the CLI and resolve with an exit code
+ */
+async function run(argv, io = {}) {
+    const streams = {
+        stdin: io.stdin || process.stdin,
+        print: io.print || (line => process.stdout.write(line + '\n')),
+        error: io.error || (line => process.stderr.write(line + '\n'))
+    };
+
+    let reservedUsernames = null;
+
+    try {
+        const { positional, flags } = parseArgs(argv);
+        const command = positional.shift();
+
+        if (!command || flags.help) {
+            streams.print(USAGE);
+            return command || flags.help ? 0 : 2;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+            throw new UsageError(`Unknown command: ${command}`);
+        }
+
+        reservedUsernames = await createInstance(flags);
+        return await COMMANDS[command](reservedUsernames, positional, flags, streams);
+    } catch (error) {
+        streams.error(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : `Error: ${error.message}`);
+        return 2;
+    } finally {
+        if (reservedUsernames) {
+            reservedUsernames.close();
+        }
+    }
+}
+
+module.exports = {
+    run,
+    parseArgs
+};
+
+// Run the CLI if this file is executed directly
+if (require.main === module) {
+    // Readers like `head` may close the pipe early; stop quietly instead of crashing
+    process.stdout.on('error', error => {
+        if (error.code === 'EPIPE') {
+            process.exit(process.exitCode || 0);
+        }
+        throw error;
+    });
+
+    run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
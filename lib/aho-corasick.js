@@ -0,0 +1,91 @@
+/**
+ * Aho–Corasick automaton for finding many terms inside a string in one pass
+ */
+
+class AhoCorasick {
+    constructor(terms = []) {
+        this.nodes = [{ children: new Map(), fail: 0, outputs: [] }];
+        this.built = false;
+        terms.forEach(term => this.add(term));
+    }
+
+    /**
+     * Add a term; the automaton is rebuilt on the next search
+     */
+    add(term) {
+        let node = 0;
+        for (const char of term) {
+            let next = this.nodes[node].children.get(char);
+            if (next === undefined) {
+                next = this.nodes.length;
+                this.nodes.push({ children: new Map(), fail: 0, outputs: [] });
+                this.nodes[node].children.set(char, next);
+            }
+            node = next;
+        }
+        if (!this.nodes[node].outputs.includes(term)) {
+            this.nodes[node].outputs.push(term);
+        }
+        this.built = false;
+    }
+
+    /**
+     * Compute failure links breadth first, merging the outputs of each suffix state
+     */
+    build() {
+        const queue = [];
+        this.nodes[0].children.forEach(child => {
+            this.nodes[child].fail = 0;
+            queue.push(child);
+        });
+
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+            this.nodes[current].children.forEach((child, char) => {
+                let fail = this.nodes[current].fail;
+                while (fail !== 0 && !this.nodes[fail].children.has(char)) {
+                    fail = this.nodes[fail].fail;
+                }
+                const target = this.nodes[fail].children.get(char);
+                this.nodes[child].fail = target !== undefined && target !== child ? target : 0;
+                this.nodes[child].outputs = this.nodes[child].outputs.concat(this.nodes[this.nodes[child].fail].outputs);
+                queue.push(child);
+            });
+        }
+
+        this.built = true;
+    }
+
+    /**
+     * Find every occurrence of every term, ordered by position
+     * Returns [{ term, position }] where position is the string index of the first character
+     */
+    search(text) {
+        if (!this.built) {
+            this.build();
+        }
+
+        const found = [];
+        let node = 0;
+        let index = 0;
+
+        for (const char of text) {
+            while (node !== 0 && !this.nodes[node].children.has(char)) {
+                node = this.nodes[node].fail;
+            }
+            const next = this.nodes[node].children.get(char);
+            node = next === undefined ? 0 : next;
+            index += char.length;
+
+            this.nodes[node].outputs.forEach(term => {
+                found.push({ term, position: index - term.length });
+            });
+        }
+
+        return found.sort((a, b) => a.position - b.position || b.term.length - a.term.length);
+    }
+}
+
+module.exports = {
+    AhoCorasick
+};
@@ -0,0 +1,94 @@
+/**
+ * BK-tree for edit-distance lookups
+ * See: https://en.wikipedia.org/wiki/BK-tree
+ */
+
+/**
+ * Levenshtein distance between two strings
+ */
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + cost
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+class BKTree {
+    constructor(distance = levenshtein) {
+        this.distance = distance;
+        this.root = null;
+        this.size = 0;
+    }
+
+    /**
+     * Add a word to the tree
+     */
+    add(word) {
+        if (!this.root) {
+            this.root = { word, children: new Map() };
+            this.size++;
+            return;
+        }
+
+        let node = this.root;
+        for (;;) {
+            const d = this.distance(word, node.word);
+            if (d === 0) {
+                return;
+            }
+            const child = node.children.get(d);
+            if (!child) {
+                node.children.set(d, { word, children: new Map() });
+                this.size++;
+                return;
+            }
+            node = child;
+        }
+    }
+
+    /**
+     * Find words within maxDistance of a word, closest first
+     */
+    search(word, maxDistance) {
+        const results = [];
+        const stack = this.root ? [this.root] : [];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const d = this.distance(word, node.word);
+
+            if (d <= maxDistance) {
+                results.push({ word: node.word, distance: d });
+            }
+
+            node.children.forEach((child, childDistance) => {
+                if (childDistance >= d - maxDistance && childDistance <= d + maxDistance) {
+                    stack.push(child);
+                }
+            });
+        }
+
+        return results.sort((a, b) => a.distance - b.distance || a.word.localeCompare(b.word));
+    }
+}
+
+module.exports = {
+    BKTree,
+    levenshtein
+};
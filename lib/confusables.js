@@ -0,0 +1,53 @@
+/**
+ * Confusable character handling
+ * A TR39-style skeleton for catching homoglyph impersonation ("аdmin" with a Cyrillic "а")
+ * See: https://www.unicode.org/reports/tr39/#Confusable_Detection
+ */
+
+// Subset of confusables.txt covering the scripts usernames are most often spoofed with.
+// Fullwidth and mathematical alphanumerics are folded by NFKD before this table is consulted.
+const CONFUSABLES = {
+    // Cyrillic lowercase
+    'а': 'a', 'в': 'b', 'ԁ': 'd', 'е': 'e', 'ё': 'e', 'һ': 'h', 'і': 'i', 'ї': 'i',
+    'ј': 'j', 'к': 'k', 'ӏ': 'l', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'ԛ': 'q',
+    'г': 'r', 'ѕ': 's', 'т': 't', 'ц': 'u', 'ѵ': 'v', 'ԝ': 'w', 'х': 'x', 'у': 'y',
+    'ь': 'b', 'с': 'c',
+    // Cyrillic uppercase
+    'А': 'A', 'В': 'B', 'Е': 'E', 'Ё': 'E', 'З': '3', 'Н': 'H', 'І': 'l', 'Ї': 'l',
+    'Ј': 'J', 'К': 'K', 'М': 'M', 'О': 'O', 'Р': 'P', 'С': 'C', 'Ѕ': 'S', 'Т': 'T',
+    'Х': 'X', 'У': 'Y', 'Ԛ': 'Q', 'Ԝ': 'W', 'Ӏ': 'l',
+    // Greek
+    'α': 'a', 'β': 'B', 'γ': 'y', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v',
+    'ο': 'o', 'ρ': 'p', 'σ': 'o', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+    'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'l', 'Κ': 'K', 'Μ': 'M',
+    'Ν': 'N', 'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X',
+    // Armenian
+    'օ': 'o', 'ս': 'u', 'ց': 'g', 'հ': 'h', 'ո': 'n',
+    // Latin lookalikes
+    'ı': 'i', 'ȷ': 'j', 'ɑ': 'a', 'ɡ': 'g', 'ɩ': 'i', 'ʟ': 'L', 'ℓ': 'l', 'ǀ': 'l', 'ɪ': 'i',
+    'ᴀ': 'A', 'ᴄ': 'c', 'ᴏ': 'o', 'ᴜ': 'u', 'ᴠ': 'v', 'ᴡ': 'w', 'ᴢ': 'z',
+    // ASCII prototypes, as in TR39
+    'I': 'l', '|': 'l', '1': 'l', '0': 'O', 'm': 'rn'
+};
+
+// Default_Ignorable_Code_Point characters that commonly appear in spoofed names
+const IGNORABLE = /[\u00AD\u034F\u115F\u1160\u17B4\u17B5\u180B-\u180F\u200B-\u200F\u202A-\u202E\u2060-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0]/g;
+
+/**
+ * Compute the confusable skeleton of a string
+ */
+function skeleton(input) {
+    const decomposed = input.normalize('NFKD').replace(IGNORABLE, '');
+    let mapped = '';
+
+    for (const char of decomposed) {
+        mapped += Object.prototype.hasOwnProperty.call(CONFUSABLES, char) ? CONFUSABLES[char] : char;
+    }
+
+    return mapped.normalize('NFKD');
+}
+
+module.exports = {
+    CONFUSABLES,
+    skeleton
+};
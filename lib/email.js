@@ -0,0 +1,81 @@
+/**
+ * Email mode: local-part syntax (RFC 5321 dot-atom), canonical forms and role mailboxes
+ */
+
+const MAX_LOCAL_PART_OCTETS = 64;
+
+// RFC 2142 role mailboxes, mailboxes certificate authorities validate domains with, and common provider addresses
+const MAILBOXES = [
+    'info', 'marketing', 'sales', 'support', 'abuse', 'noc', 'security', 'postmaster', 'hostmaster',
+    'usenet', 'news', 'webmaster', 'www', 'uucp', 'ftp',
+    'admin', 'administrator', 'root', 'ssladmin', 'ssladministrator', 'ssl-admin', 'it',
+    'noreply', 'no-reply', 'donotreply', 'do-not-reply', 'mailer-daemon', 'mailerdaemon', 'daemon', 'nobody',
+    'bounce', 'bounces', 'unsubscribe', 'list', 'lists', 'listserv', 'majordomo', 'owner',
+    'dmarc', 'dmarc-reports', 'dkim', 'spam', 'phishing', 'devnull', 'null',
+    'billing', 'help', 'contact', 'privacy', 'legal', 'compliance', 'press', 'jobs', 'careers',
+    'mail', 'email', 'system', 'team', 'hello', 'feedback'
+];
+
+/**
+ * Canonical local part: lowercase, without the domain, "+tag" suffix or dots
+ *
+ * Options:
+ * - plusAddressing: ignore everything after "+" (default true)
+ * - ignoreDots: ignore dots, as providers like Gmail do (default true)
+ */
+function normalizeLocalPart(address, options = {}) {
+    if (typeof address !== 'string' || address.length === 0) {
+        return null;
+    }
+
+    const at = address.lastIndexOf('@');
+    let local = (at === -1 ? address : address.slice(0, at)).toLowerCase();
+
+    if (options.plusAddressing !== false && local.includes('+')) {
+        local = local.slice(0, local.indexOf('+'));
+    }
+    if (options.ignoreDots !== false) {
+        local = local.replace(/\./g, '');
+    }
+    return local || null;
+}
+
+/**
+ * Check local-part syntax
+ * Returns [{ code, key, params }] like compiled validation rules
+ *
+ * Options:
+ * - plusAddressing: reject "+" since it would address another user's subaddress (default true)
+ * - allowUnicode: accept non-ASCII characters (RFC 6531) (default false)
+ */
+function checkLocalPart(local, options = {}) {
+    const issues = [];
+    const octets = Buffer.byteLength(local);
+    if (octets > MAX_LOCAL_PART_OCTETS) {
+        issues.push({ code: 'LOCAL_PART_TOO_LONG', key: 'localTooLong', params: { limit: MAX_LOCAL_PART_OCTETS, length: octets } });
+    }
+
+    // atext from RFC 5322, plus "." between atoms
+    const atext = options.allowUnicode ? /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~.\-\u{80}-\u{10FFFF}]$/u : /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~.-]$/;
+    const invalid = Array.from(new Set(Array.from(local).filter(char => !atext.test(char))));
+    if (local.length === 0 || invalid.length > 0) {
+        issues.push({ code: 'INVALID_LOCAL_CHARS', key: 'localChars', params: { chars: invalid } });
+    }
+
+    if (local.startsWith('.') || local.endsWith('.') || local.includes('..')) {
+        issues.push({ code: 'LOCAL_PART_DOTS', key: 'localDots', params: {} });
+    }
+
+    if (options.plusAddressing !== false && local.includes('+')) {
+        issues.push({ code: 'PLUS_ADDRESS', key: 'localPlus', params: { position: local.indexOf('+') } });
+    }
+
+    return issues;
+}
+
+module.exports = {
+    MAILBOXES,
+    MAX_LOCAL_PART_OCTETS,
+    normalizeLocalPart,
+    checkLocalPart
+};
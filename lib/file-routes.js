@@ -0,0 +1,327 @@
+/**
+ * File-based route scanning
+ * Derives the top-level URL segments claimed by static asset directories and
+ * Next-style pages/ and app/ directories, and keeps a ReservedUsernames instance in sync
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const PAGE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.md', '.mdx'];
+
+// Metadata files in the app directory and the URL they are served at
+const APP_METADATA = {
+    robots: 'robots.txt',
+    sitemap: 'sitemap.xml',
+    manifest: 'manifest.webmanifest',
+    favicon: 'favicon.ico'
+};
+
+/**
+ * Whether a file or directory name is a dynamic route segment ([id], [...slug])
+ */
+function isDynamic(name) {
+    return name.startsWith('[');
+}
+
+/**
+ * Whether fs.watch supports { recursive: true }: macOS and Windows, and Linux from Node 20
+ */
+function supportsRecursiveWatch() {
+    return process.platform !== 'linux' || parseInt(process.versions.node, 10) >= 20;
+}
+
+/**
+ * Watch a directory tree one directory at a time, for platforms without recursive fs.watch
+ * Directories created or removed later are picked up on the next change; returns { close() }
+ */
+function watchEachDirectory(root, listener) {
+    const watchers = new Map();
+
+    const sync = () => {
+        const seen = new Set();
+        const walk = dir => {
+            seen.add(dir);
+            if (!watchers.has(dir)) {
+                // Only the root failing is an error; subdirectories may vanish while being walked
+                try {
+                    const watcher = fs.watch(dir, { persistent: false }, onChange);
+                    watcher.on('error', () => {});
+                    watchers.set(dir, watcher);
+                } catch (error) {
+                    if (dir === root) {
+                        throw error;
+                    }
+                    return;
+                }
+            }
+            let entries = [];
+            try {
+                entries = fs.readdirSync(dir, { withFileTypes: true });
+            } catch (error) {
+                return;
+            }
+            entries.filter(entry => entry.isDirectory()).forEach(entry => walk(path.join(dir, entry.name)));
+        };
+
+        walk(root);
+        watchers.forEach((watcher, dir) => {
+            if (!seen.has(dir)) {
+                watcher.close();
+                watchers.delete(dir);
+            }
+        });
+    };
+
+    const onChange = (...args) => {
+        sync();
+        listener(...args);
+    };
+
+    sync();
+    return {
+        close: () => {
+            watchers.forEach(watcher => watcher.close());
+            watchers.clear();
+        }
+    };
+}
+
+/**
+ * List a directory, treating a missing one as empty
+ */
+async function readDir(dir) {
+    try {
+        return await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+/**
+ * Static assets: every top-level file and directory is served as-is
+ */
+async function scanStatic(dir) {
+    return (await readDir(dir))
+        .map(entry => entry.name)
+        .filter(name => !name.startsWith('.') || name === '.well-known');
+}
+
+/**
+ * Next-style pages directory: about.js and about/index.js claim /about; _app.js and [id].js claim nothing
+ */
+async function scanPages(dir) {
+    return (await readDir(dir))
+        .filter(entry => !entry.name.startsWith('_') && !entry.name.startsWith('.') && !isDynamic(entry.name))
+        .map(entry => {
+            if (entry.isDirectory()) {
+                return entry.name;
+            }
+            const extension = path.extname(entry.name);
+            const name = path.basename(entry.name, extension);
+            return PAGE_EXTENSIONS.includes(extension) && name !== 'index' ? name : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Whether an app directory folder serves anything (a page or route handler somewhere below it)
+ */
+async function hasAppRoute(dir) {
+    for (const entry of await readDir(dir)) {
+        const name = path.basename(entry.name, path.extname(entry.name));
+        if (entry.isFile() && (name === 'page' || name === 'route')) {
+            return true;
+        }
+        if (entry.isDirectory() && !entry.name.startsWith('_') && await hasAppRoute(path.join(dir, entry.name))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Next-style app directory: routable folders claim their name, route groups (x) and slots @x are transparent
+ */
+async function scanApp(dir) {
+    const segments = [];
+
+    for (const entry of await readDir(dir)) {
+        const name = entry.name;
+
+        if (entry.isFile()) {
+            const extension = path.extname(name);
+            const metadata = APP_METADATA[path.basename(name, extension)];
+            if (metadata) {
+                segments.push(metadata);
+            }
+            continue;
+        }
+
+        if (!entry.isDirectory() || name.startsWith('_') || name.startsWith('.') || isDynamic(name)) {
+            continue;
+        }
+
+        const child = path.join(dir, name);
+        if ((name.startsWith('(') && name.endsWith(')')) || name.startsWith('@')) {
+            segments.push(...await scanApp(child));
+        } else if (!name.startsWith('(') && await hasAppRoute(child)) {
+            segments.push(name);
+        }
+    }
+
+    return segments;
+}
+
+const PRESETS = {
+    static: scanStatic,
+    'next-pages': scanPages,
+    'next-app': scanApp
+};
+
+/**
+ * Normalize directory options to [{ dir, preset }]
+ */
+function toDirectories(options) {
+    const directories = [].concat(options.directories || options.directory || []);
+    if (directories.length === 0) {
+        throw new Error('At least one directory is required');
+    }
+
+    return directories.map(entry => {
+        const directory = typeof entry === 'string' ? { dir: entry } : entry;
+        const preset = directory.preset || options.preset || 'static';
+        if (!PRESETS[preset]) {
+            throw new Error(`Unknown preset: ${preset}`);
+        }
+        return { dir: path.resolve(directory.dir), preset };
+    });
+}
+
+/**
+ * Scan directories and return the unique top-level segments they claim
+ */
+async function scanDirectories(directories, options = {}) {
+    const segments = new Set();
+    for (const { dir, preset } of toDirectories(Object.assign({}, options, { directories }))) {
+        (await PRESETS[preset](dir)).forEach(segment => segments.add(segment));
+    }
+    return Array.from(segments);
+}
+
+/**
+ * Keeps the segments claimed by a set of directories reserved, with a 'file' provenance
+ *
+ * Options:
+ * - directories: directory paths or { dir, preset } objects
+ * - preset: default preset ('static', 'next-pages' or 'next-app')
+ * - category: category for reserved segments
+ * - debounce: delay before rescanning after a change in ms (default 100)
+ *
+ * Emits 'sync' with { segments, added, removed } after each scan and 'scanError' on failures
+ */
+class FileRouteScanner extends EventEmitter {
+    constructor(reservedUsernames, options = {}) {
+        super();
+        this.reservedUsernames = reservedUsernames;
+        this.directories = toDirectories(options);
+        this.category = options.category || null;
+        this.debounce = options.debounce === undefined ? 100 : options.debounce;
+        this.claimed = new Set();
+        this.watchers = [];
+        this.timer = null;
+    }
+
+    /**
+     * Scan the directories, reserve new segments and remove the ones whose files are gone
+     */
+    async scan() {
+        const segments = await scanDirectories(this.directories);
+        const reservedUsernames = this.reservedUsernames;
+        const keys = new Set(segments.map(segment => reservedUsernames.describeEntry(segment).username));
+
+        // Names already reserved from another source are left alone
+        const added = Array.from(keys)
+            .filter(key => !this.claimed.has(key) && !reservedUsernames.reservedList.has(key));
+        const removed = Array.from(this.claimed).filter(key => !keys.has(key));
+
+        if (added.length > 0) {
+            reservedUsernames.import(added, 'array', { category: this.category, source: 'file' });
+        }
+        if (removed.length > 0) {
+            reservedUsernames.remove(removed);
+        }
+
+        added.forEach(key => this.claimed.add(key));
+        removed.forEach(key => this.claimed.delete(key));
+
+        const result = { segments, added, removed };
+        this.emit('sync', result);
+        return result;
+    }
+
+    /**
+     * Rescan whenever files are added or removed
+     */
+    watch() {
+        if (this.watchers.length > 0) {
+            return this;
+        }
+
+        const schedule = () => {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => {
+                this.scan().catch(error => {
+                    console.warn('Failed to scan file routes:', error.message);
+                    this.emit('scanError', error);
+                });
+            }, this.debounce);
+        };
+
+        this.watchers = this.directories.map(({ dir, preset }) => {
+            try {
+                // The app directory claims segments from nested files
+                if (preset !== 'next-app') {
+                    return fs.watch(dir, { persistent: false }, schedule);
+                }
+                if (!supportsRecursiveWatch()) {
+                    return watchEachDirectory(dir, schedule);
+                }
+                try {
+                    return fs.watch(dir, { persistent: false, recursive: true }, schedule);
+                } catch (error) {
+                    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+                        throw error;
+                    }
+                    return watchEachDirectory(dir, schedule);
+                }
+            } catch (error) {
+                console.warn(`Failed to watch ${dir}:`, error.message);
+                this.emit('scanError', error);
+                return null;
+            }
+        }).filter(Boolean);
+
+        return this;
+    }
+
+    /**
+     * Stop watching
+     */
+    close() {
+        clearTimeout(this.timer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+    }
+}
+
+module.exports = {
+    PRESETS,
+    scanDirectories,
+    watchEachDirectory,
+    FileRouteScanner
+};
@@ -0,0 +1,326 @@
+/**
+ * Temporary username holds during multi-step signup
+ *
+ * A hold keeps a name for one owner until it expires, so two signups cannot race for it.
+ * Holds live in a store that every instance sharing them connects to, and expire on a clock.
+ *
+ * Store contract (every method returns a Promise except subscribe()):
+ * - acquire(hold, now): store hold unless another owner holds the name past now; resolves to the hold in place
+ * - extend(username, ownerId, expiresAt, now): move the expiry of the owner's hold; resolves to it, or null
+ * - release(username, ownerId): delete the owner's hold; resolves to whether one was deleted
+ * - expire(username, expiresAt): delete a hold that still ends at expiresAt; resolves to whether one was deleted
+ * - list(): every stored hold
+ * - subscribe(listener): call listener(change) for every change, including ones made by other instances;
+ *   returns an unsubscribe function. change is { type: 'hold', hold } or { type: 'release', username, reason }
+ *   where reason is 'released' or 'expired'
+ *
+ * Holds are plain objects: { username, ownerId, createdAt, expiresAt } with times in ms.
+ *
+ * Clock: { now(), setTimeout(fn, ms), clearTimeout(timer) }; missing functions use the global ones
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_TTL = 15 * 60 * 1000; // 15 minutes
+
+// Longest delay setTimeout accepts; longer ones fire after 1 ms
+const MAX_TIMER_DELAY = 2147483647;
+
+const SYSTEM_CLOCK = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => {
+        const timer = setTimeout(fn, ms);
+        // Pending expiries should not keep the process alive
+        if (timer.unref) {
+            timer.unref();
+        }
+        return timer;
+    },
+    clearTimeout: timer => clearTimeout(timer)
+};
+
+/**
+ * In-memory hold store
+ * Share one instance between ReservedUsernames objects in the same process
+ */
+class MemoryHoldStore {
+    constructor() {
+        this.holds = new Map();
+        this.emitter = new EventEmitter();
+    }
+
+    async acquire(hold, now) {
+        const current = this.holds.get(hold.username);
+        if (current && current.ownerId !== hold.ownerId && current.expiresAt > now) {
+            return current;
+        }
+
+        // Holding again keeps the owner's original start time
+        const stored = Object.assign({}, hold, current && current.ownerId === hold.ownerId && current.expiresAt > now
+            ? { createdAt: current.createdAt }
+            : {});
+        this.holds.set(hold.username, stored);
+        this.notify({ type: 'hold', hold: stored });
+        return stored;
+    }
+
+    async extend(username, ownerId, expiresAt, now) {
+        const current = this.holds.get(username);
+        if (!current || current.ownerId !== ownerId || current.expiresAt <= now) {
+            return null;
+        }
+
+        const stored = Object.assign({}, current, { expiresAt });
+        this.holds.set(username, stored);
+        this.notify({ type: 'hold', hold: stored });
+        return stored;
+    }
+
+    async release(username, ownerId) {
+        const current = this.holds.get(username);
+        if (!current || current.ownerId !== ownerId) {
+            return false;
+        }
+
+        this.holds.delete(username);
+        this.notify({ type: 'release', username, reason: 'released' });
+        return true;
+    }
+
+    async expire(username, expiresAt) {
+        const current = this.holds.get(username);
+        if (!current || current.expiresAt !== expiresAt) {
+            return false;
+        }
+
+        this.holds.delete(username);
+        this.notify({ type: 'release', username, reason: 'expired' });
+        return true;
+    }
+
+    async list() {
+        return Array.from(this.holds.values());
+    }
+
+    /**
+     * Listen for changes; returns an unsubscribe function
+     */
+    subscribe(listener) {
+        this.emitter.on('change', listener);
+        return () => this.emitter.removeListener('change', listener);
+    }
+
+    notify(change) {
+        this.emitter.emit('change', change);
+    }
+
+    async close() {
+        this.emitter.removeAllListeners('change');
+    }
+}
+
+/**
+ * Holds on usernames, mirrored locally so availability checks stay synchronous
+ *
+ * Options:
+ * - store: hold store shared between instances (default: a new MemoryHoldStore)
+ * - clock: { now, setTimeout, clearTimeout } (default: the system clock)
+ * - ttl: default hold duration in ms (default 15 minutes)
+ *
+ * Events: 'hold', 'released', 'expired' (each with the hold) and 'storeError'
+ */
+class UsernameHolds extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.store = options.store || new MemoryHoldStore();
+        this.clock = Object.assign({}, SYSTEM_CLOCK, options.clock);
+        this.ttl = options.ttl || DEFAULT_TTL;
+        this.holds = new Map();
+        this.timer = null;
+        this.connecting = null;
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Load current holds from the store and follow its changes
+     */
+    connect() {
+        if (!this.connecting) {
+            this.connecting = (async () => {
+                this.unsubscribe = this.store.subscribe(change => this.applyChange(change));
+                (await this.store.list()).forEach(hold => this.holds.set(hold.username, hold));
+                this.sweep();
+            })();
+        }
+        return this.connecting;
+    }
+
+    /**
+     * Hold a name for an owner, or refresh the owner's hold
+     * Resolves to the hold, or null when another owner holds the name
+     */
+    async hold(username, ownerId, ttl = this.ttl) {
+        checkHoldArguments(ownerId, ttl);
+        await this.connect();
+
+        const now = this.clock.now();
+        const current = await this.store.acquire({ username, ownerId, createdAt: now, expiresAt: now + ttl }, now);
+        this.applyChange({ type: 'hold', hold: current });
+        return current.ownerId === ownerId ? current : null;
+    }
+
+    /**
+     * Give the owner's hold ttl more ms from now
+     * Resolves to the updated hold, or null when the owner holds no such name
+     */
+    async extend(username, ownerId, ttl = this.ttl) {
+        checkHoldArguments(ownerId, ttl);
+        await this.connect();
+
+        const now = this.clock.now();
+        const extended = await this.store.extend(username, ownerId, now + ttl, now);
+        if (extended) {
+            this.applyChange({ type: 'hold', hold: extended });
+        }
+        return extended;
+    }
+
+    /**
+     * Drop the owner's hold; resolves to whether there was one
+     */
+    async release(username, ownerId) {
+        await this.connect();
+
+        const released = await this.store.release(username, ownerId);
+        if (released) {
+            this.applyChange({ type: 'release', username, reason: 'released' });
+        }
+        return released;
+    }
+
+    /**
+     * The unexpired hold on a name, or null
+     */
+    get(username) {
+        const hold = this.holds.get(username);
+        if (!hold) {
+            return null;
+        }
+        if (hold.expiresAt <= this.clock.now()) {
+            this.expire(hold);
+            return null;
+        }
+        return hold;
+    }
+
+    /**
+     * Every unexpired hold
+     */
+    list() {
+        this.sweep();
+        return Array.from(this.holds.values());
+    }
+
+    /**
+     * Expire every hold whose time is up and schedule the next expiry
+     * Returns the expired holds
+     */
+    sweep() {
+        const now = this.clock.now();
+        const expired = Array.from(this.holds.values()).filter(hold => hold.expiresAt <= now);
+        expired.forEach(hold => this.expire(hold));
+        this.schedule();
+        return expired;
+    }
+
+    /**
+     * Drop an expired hold locally and from the store
+     */
+    expire(hold) {
+        if (this.holds.get(hold.username) !== hold) {
+            return;
+        }
+
+        this.holds.delete(hold.username);
+        this.emit('expired', hold);
+        this.store.expire(hold.username, hold.expiresAt).catch(error => {
+            console.warn('Failed to expire hold:', error.message);
+            this.emit('storeError', error);
+        });
+    }
+
+    /**
+     * Apply a change notification from the store
+     */
+    applyChange(change) {
+        if (change.type === 'hold') {
+            const current = this.holds.get(change.hold.username);
+            this.holds.set(change.hold.username, change.hold);
+            if (!current || current.ownerId !== change.hold.ownerId) {
+                this.emit('hold', change.hold);
+            }
+        }
+
+        if (change.type === 'release') {
+            const current = this.holds.get(change.username);
+            if (current && this.holds.delete(change.username)) {
+                this.emit(change.reason === 'expired' ? 'expired' : 'released', current);
+            }
+        }
+
+        this.schedule();
+    }
+
+    /**
+     * Set a timer for the earliest expiry
+     * Expiries beyond the longest timer delay are reached in steps: sweep() re-arms the timer when it fires early
+     */
+    schedule() {
+        if (this.timer) {
+            this.clock.clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (this.holds.size === 0) {
+            return;
+        }
+        const next = Math.min(...Array.from(this.holds.values()).map(hold => hold.expiresAt));
+        this.timer = this.clock.setTimeout(() => {
+            this.timer = null;
+            this.sweep();
+        }, Math.min(MAX_TIMER_DELAY, Math.max(0, next - this.clock.now())));
+    }
+
+    /**
+     * Stop following the store and cancel the expiry timer
+     * The store itself is left open since other instances may share it
+     */
+    close() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        if (this.timer) {
+            this.clock.clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+/**
+ * Reject holds without an owner or with a non-positive duration
+ */
+function checkHoldArguments(ownerId, ttl) {
+    if (ownerId === undefined || ownerId === null || ownerId === '') {
+        throw new Error('Hold owner is required');
+    }
+    if (typeof ttl !== 'number' || !(ttl > 0)) {
+        throw new Error('Hold ttl must be a positive number of milliseconds');
+    }
+}
+
+module.exports = {
+    DEFAULT_TTL,
+    MemoryHoldStore,
+    UsernameHolds
+};
@@ -0,0 +1,204 @@
+/**
+ * HTTP fetching for upstream lists
+ * Timeouts, redirects, size limits, retries with exponential backoff, conditional requests and integrity pinning
+ *
+ * timeout limits how long the socket may sit idle; deadline limits each attempt as a whole, redirects included,
+ * so a server trickling bytes cannot hold a fetch open. Redirects from https to http are refused unless
+ * allowInsecureRedirects is set.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+const DEFAULT_OPTIONS = {
+    timeout: 10000,
+    maxBytes: 5 * 1024 * 1024,
+    maxRedirects: 5,
+    retries: 2,
+    retryDelay: 500,
+    deadline: 60000,
+    allowInsecureRedirects: false
+};
+
+/**
+ * Create an error carrying a code and whether it is worth retrying
+ */
+function fetchError(message, code, retryable) {
+    const error = new Error(message);
+    error.code = code;
+    error.retryable = retryable;
+    return error;
+}
+
+/**
+ * Check a body against an integrity pin
+ * Accepts SRI form ("sha256-<base64>") or a bare hex SHA-256 digest
+ */
+function verifyIntegrity(body, integrity) {
+    const hash = crypto.createHash('sha256').update(body);
+
+    if (integrity.startsWith('sha256-')) {
+        return hash.digest('base64') === integrity.slice('sha256-'.length);
+    }
+
+    return hash.digest('hex') === integrity.toLowerCase();
+}
+
+/**
+ * Error for a redirect that may not be followed, or null
+ * Downgrades from https to http would drop TLS for the list
+ */
+function checkRedirect(from, to, options = {}) {
+    if (from.protocol === 'https:' && to.protocol === 'http:' && !options.allowInsecureRedirects) {
+        return fetchError(`Refusing insecure redirect from ${from} to ${to}`, 'INSECURE_REDIRECT', false);
+    }
+    return null;
+}
+
+/**
+ * Perform a single request, following redirects until deadlineAt
+ */
+function requestOnce(url, options, redirects = 0, deadlineAt = Date.now() + options.deadline) {
+    return new Promise((settleResolve, settleReject) => {
+        let deadlineTimer = null;
+        const settle = callback => value => {
+            clearTimeout(deadlineTimer);
+            callback(value);
+        };
+        const resolve = settle(settleResolve);
+        const reject = settle(settleReject);
+        const target = new URL(url);
+        const client = target.protocol === 'http:' ? http : https;
+        const headers = Object.assign({}, options.headers);
+
+        if (options.etag) {
+            headers['If-None-Match'] = options.etag;
+        }
+        if (options.lastModified) {
+            headers['If-Modified-Since'] = options.lastModified;
+        }
+
+        const req = client.get(target, { headers }, (res) => {
+            const { statusCode } = res;
+
+            if (statusCode >= 300 && statusCode < 400 && statusCode !== 304 && res.headers.location) {
+                res.resume();
+                if (redirects >= options.maxRedirects) {
+                    reject(fetchError(`Too many redirects fetching ${url}`, 'TOO_MANY_REDIRECTS', false));
+                    return;
+                }
+                const next = new URL(res.headers.location, target);
+                const refused = checkRedirect(target, next, options);
+                if (refused) {
+                    reject(refused);
+                    return;
+                }
+                // The redirected request keeps the same deadline
+                clearTimeout(deadlineTimer);
+                requestOnce(next.toString(), options, redirects + 1, deadlineAt).then(resolve, reject);
+                return;
+            }
+
+            if (statusCode === 304) {
+                res.resume();
+                resolve({ statusCode, headers: res.headers, body: null, url });
+                return;
+            }
+
+            if (statusCode !== 200) {
+                res.resume();
+                const retryable = statusCode >= 500 || statusCode === 429;
+                reject(fetchError(`HTTP ${statusCode}`, 'HTTP_ERROR', retryable));
+                return;
+            }
+
+            const declaredLength = parseInt(res.headers['content-length'], 10);
+            if (declaredLength > options.maxBytes) {
+                reject(fetchError(`Response exceeds ${options.maxBytes} bytes`, 'TOO_LARGE', false));
+                res.destroy();
+                return;
+            }
+
+            const chunks = [];
+            let received = 0;
+
+            res.on('data', (chunk) => {
+                received += chunk.length;
+                if (received > options.maxBytes) {
+                    reject(fetchError(`Response exceeds ${options.maxBytes} bytes`, 'TOO_LARGE', false));
+                    res.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            res.on('end', () => {
+                const body = Buffer.concat(chunks);
+
+                if (!Number.isNaN(declaredLength) && body.length !== declaredLength) {
+                    reject(fetchError(`Truncated response: ${body.length} of ${declaredLength} bytes`, 'TRUNCATED', true));
+                    return;
+                }
+
+                if (options.integrity && !verifyIntegrity(body, options.integrity)) {
+                    reject(fetchError(`Integrity check failed for ${url}`, 'INTEGRITY', false));
+                    return;
+                }
+
+                resolve({ statusCode, headers: res.headers, body: body.toString('utf8'), url });
+            });
+
+            res.on('aborted', () => {
+                reject(fetchError(`Connection aborted fetching ${url}`, 'TRUNCATED', true));
+            });
+        });
+
+        req.setTimeout(options.timeout, () => {
+            req.destroy(fetchError(`Timed out after ${options.timeout}ms fetching ${url}`, 'TIMEOUT', true));
+        });
+
+        deadlineTimer = setTimeout(() => {
+            const error = fetchError(`Deadline of ${options.deadline}ms exceeded fetching ${url}`, 'TIMEOUT', true);
+            req.destroy(error);
+            reject(error);
+        }, Math.max(0, deadlineAt - Date.now()));
+
+        req.on('error', (error) => {
+            if (error.retryable === undefined) {
+                error.retryable = true;
+            }
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Fetch a URL, retrying transient failures with exponential backoff
+ * Resolves { statusCode, headers, body, url }; body is null for 304 Not Modified
+ */
+async function fetchUrl(url, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    let attempt = 0;
+
+    for (;;) {
+        try {
+            return await requestOnce(url, settings);
+        } catch (error) {
+            if (!error.retryable || attempt >= settings.retries) {
+                throw error;
+            }
+            const delay = settings.retryDelay * Math.pow(2, attempt);
+            attempt++;
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    checkRedirect,
+    fetchUrl,
+    verifyIntegrity
+};
@@ -0,0 +1,250 @@
+/**
+ * Localized message catalog
+ * Messages are looked up by key and locale and interpolate {name} placeholders
+ */
+
+const LOCALES = {
+    en: {
+        reserved: 'Username is reserved',
+        held: 'Username is temporarily held by another signup',
+        imitates: 'Username imitates reserved username "{match}"',
+        contains: 'Username contains reserved term "{term}" at position {position}',
+        similar: 'Username is similar to reserved username "{match}"',
+        minLength: 'Username must be at least {limit} characters',
+        maxLength: 'Username must be at most {limit} characters',
+        invalidChars: 'Username contains invalid characters',
+        invalidStart: 'Username cannot start with "{char}"',
+        invalidEnd: 'Username cannot end with "{char}"',
+        consecutiveSeparators: 'Username cannot contain consecutive separators',
+        digitsOnly: 'Username cannot contain only digits',
+        labelInvalid: 'Subdomain is not a valid internationalized name',
+        labelTooLong: 'Subdomain must be at most {limit} bytes',
+        labelChars: 'Subdomain can only contain letters, digits and hyphens',
+        labelHyphen: 'Subdomain cannot start or end with a hyphen',
+        labelPrefix: 'Subdomain cannot start with "{prefix}"',
+        localTooLong: 'Email username must be at most {limit} bytes',
+        localChars: 'Email username contains characters not allowed in addresses',
+        localDots: 'Email username cannot start or end with a dot or contain consecutive dots',
+        localPlus: 'Email username cannot contain "+"',
+        forbiddenPattern: 'Username matches forbidden pattern: {pattern}',
+        'list.offensive': 'Username contains offensive language',
+        'list.impersonation': 'Username impersonates an official or staff account',
+        list: 'Username matches the {list} list',
+        notReady: 'Reserved usernames are still loading'
+    },
+    es: {
+        reserved: 'El nombre de usuario está reservado',
+        held: 'El nombre de usuario está retenido temporalmente por otro registro',
+        imitates: 'El nombre de usuario imita al nombre reservado "{match}"',
+        contains: 'El nombre de usuario contiene el término reservado "{term}" en la posición {position}',
+        similar: 'El nombre de usuario es similar al nombre reservado "{match}"',
+        minLength: 'El nombre de usuario debe tener al menos {limit} caracteres',
+        maxLength: 'El nombre de usuario debe tener como máximo {limit} caracteres',
+        invalidChars: 'El nombre de usuario contiene caracteres no válidos',
+        invalidStart: 'El nombre de usuario no puede empezar por "{char}"',
+        invalidEnd: 'El nombre de usuario no puede terminar en "{char}"',
+        consecutiveSeparators: 'El nombre de usuario no puede contener separadores consecutivos',
+        digitsOnly: 'El nombre de usuario no puede contener solo dígitos',
+        labelInvalid: 'El subdominio no es un nombre internacionalizado válido',
+        labelTooLong: 'El subdominio debe tener como máximo {limit} bytes',
+        labelChars: 'El subdominio solo puede contener letras, dígitos y guiones',
+        labelHyphen: 'El subdominio no puede empezar ni terminar con un guion',
+        labelPrefix: 'El subdominio no puede empezar por "{prefix}"',
+        localTooLong: 'El nombre de correo debe tener como máximo {limit} bytes',
+        localChars: 'El nombre de correo contiene caracteres no permitidos en direcciones',
+        localDots: 'El nombre de correo no puede empezar ni terminar con un punto ni contener puntos consecutivos',
+        localPlus: 'El nombre de correo no puede contener "+"',
+        forbiddenPattern: 'El nombre de usuario coincide con un patrón prohibido: {pattern}',
+        'list.offensive': 'El nombre de usuario contiene lenguaje ofensivo',
+        'list.impersonation': 'El nombre de usuario suplanta una cuenta oficial o del equipo',
+        list: 'El nombre de usuario coincide con la lista {list}',
+        notReady: 'Los nombres reservados aún se están cargando'
+    },
+    fr: {
+        reserved: 'Ce nom d\'utilisateur est réservé',
+        held: 'Ce nom d\'utilisateur est temporairement retenu par une autre inscription',
+        imitates: 'Ce nom d\'utilisateur imite le nom réservé « {match} »',
+        contains: 'Ce nom d\'utilisateur contient le terme réservé « {term} » à la position {position}',
+        similar: 'Ce nom d\'utilisateur ressemble au nom réservé « {match} »',
+        minLength: 'Le nom d\'utilisateur doit comporter au moins {limit} caractères',
+        maxLength: 'Le nom d\'utilisateur doit comporter au plus {limit} caractères',
+        invalidChars: 'Le nom d\'utilisateur contient des caractères non valides',
+        invalidStart: 'Le nom d\'utilisateur ne peut pas commencer par « {char} »',
+        invalidEnd: 'Le nom d\'utilisateur ne peut pas se terminer par « {char} »',
+        consecutiveSeparators: 'Le nom d\'utilisateur ne peut pas contenir de séparateurs consécutifs',
+        digitsOnly: 'Le nom d\'utilisateur ne peut pas contenir uniquement des chiffres',
+        labelInvalid: 'Le sous-domaine n\'est pas un nom internationalisé valide',
+        labelTooLong: 'Le sous-domaine doit comporter au plus {limit} octets',
+        labelChars: 'Le sous-domaine ne peut contenir que des lettres, des chiffres et des tirets',
+        labelHyphen: 'Le sous-domaine ne peut pas commencer ni se terminer par un tiret',
+        labelPrefix: 'Le sous-domaine ne peut pas commencer par « {prefix} »',
+        localTooLong: 'Le nom de messagerie doit comporter au plus {limit} octets',
+        localChars: 'Le nom de messagerie contient des caractères interdits dans les adresses',
+        localDots: 'Le nom de messagerie ne peut pas commencer ni se terminer par un point, ni contenir deux points consécutifs',
+        localPlus: 'Le nom de messagerie ne peut pas contenir « + »',
+        forbiddenPattern: 'Le nom d\'utilisateur correspond à un motif interdit : {pattern}',
+        'list.offensive': 'Le nom d\'utilisateur contient des propos injurieux',
+        'list.impersonation': 'Le nom d\'utilisateur usurpe l\'identité d\'un compte officiel ou du personnel',
+        list: 'Le nom d\'utilisateur figure dans la liste {list}',
+        notReady: 'Les noms réservés sont en cours de chargement'
+    },
+    de: {
+        reserved: 'Der Benutzername ist reserviert',
+        held: 'Der Benutzername ist vorübergehend für eine andere Registrierung vorgemerkt',
+        imitates: 'Der Benutzername imitiert den reservierten Namen „{match}“',
+        contains: 'Der Benutzername enthält den reservierten Begriff „{term}“ an Position {position}',
+        similar: 'Der Benutzername ähnelt dem reservierten Namen „{match}“',
+        minLength: 'Der Benutzername muss mindestens {limit} Zeichen lang sein',
+        maxLength: 'Der Benutzername darf höchstens {limit} Zeichen lang sein',
+        invalidChars: 'Der Benutzername enthält ungültige Zeichen',
+        invalidStart: 'Der Benutzername darf nicht mit „{char}“ beginnen',
+        invalidEnd: 'Der Benutzername darf nicht mit „{char}“ enden',
+        consecutiveSeparators: 'Der Benutzername darf keine aufeinanderfolgenden Trennzeichen enthalten',
+        digitsOnly: 'Der Benutzername darf nicht nur aus Ziffern bestehen',
+        labelInvalid: 'Die Subdomain ist kein gültiger internationalisierter Name',
+        labelTooLong: 'Die Subdomain darf höchstens {limit} Bytes lang sein',
+        labelChars: 'Die Subdomain darf nur Buchstaben, Ziffern und Bindestriche enthalten',
+        labelHyphen: 'Die Subdomain darf nicht mit einem Bindestrich beginnen oder enden',
+        labelPrefix: 'Die Subdomain darf nicht mit „{prefix}“ beginnen',
+        localTooLong: 'Der E-Mail-Name darf höchstens {limit} Bytes lang sein',
+        localChars: 'Der E-Mail-Name enthält Zeichen, die in Adressen nicht erlaubt sind',
+        localDots: 'Der E-Mail-Name darf nicht mit einem Punkt beginnen oder enden und keine aufeinanderfolgenden Punkte enthalten',
+        localPlus: 'Der E-Mail-Name darf kein „+“ enthalten',
+        forbiddenPattern: 'Der Benutzername entspricht einem verbotenen Muster: {pattern}',
+        'list.offensive': 'Der Benutzername enthält beleidigende Sprache',
+        'list.impersonation': 'Der Benutzername gibt sich als offizielles oder Mitarbeiterkonto aus',
+        list: 'Der Benutzername steht auf der Liste {list}',
+        notReady: 'Reservierte Benutzernamen werden noch geladen'
+    },
+    pt: {
+        reserved: 'O nome de usuário está reservado',
+        held: 'O nome de usuário está temporariamente retido por outro cadastro',
+        imitates: 'O nome de usuário imita o nome reservado "{match}"',
+        contains: 'O nome de usuário contém o termo reservado "{term}" na posição {position}',
+        similar: 'O nome de usuário é semelhante ao nome reservado "{match}"',
+        minLength: 'O nome de usuário deve ter pelo menos {limit} caracteres',
+        maxLength: 'O nome de usuário deve ter no máximo {limit} caracteres',
+        invalidChars: 'O nome de usuário contém caracteres inválidos',
+        invalidStart: 'O nome de usuário não pode começar com "{char}"',
+        invalidEnd: 'O nome de usuário não pode terminar com "{char}"',
+        consecutiveSeparators: 'O nome de usuário não pode conter separadores consecutivos',
+        digitsOnly: 'O nome de usuário não pode conter apenas dígitos',
+        labelInvalid: 'O subdomínio não é um nome internacionalizado válido',
+        labelTooLong: 'O subdomínio deve ter no máximo {limit} bytes',
+        labelChars: 'O subdomínio só pode conter letras, dígitos e hifens',
+        labelHyphen: 'O subdomínio não pode começar nem terminar com hífen',
+        labelPrefix: 'O subdomínio não pode começar com "{prefix}"',
+        localTooLong: 'O nome de e-mail deve ter no máximo {limit} bytes',
+        localChars: 'O nome de e-mail contém caracteres não permitidos em endereços',
+        localDots: 'O nome de e-mail não pode começar nem terminar com ponto nem conter pontos consecutivos',
+        localPlus: 'O nome de e-mail não pode conter "+"',
+        forbiddenPattern: 'O nome de usuário corresponde a um padrão proibido: {pattern}',
+        'list.offensive': 'O nome de usuário contém linguagem ofensiva',
+        'list.impersonation': 'O nome de usuário se passa por uma conta oficial ou da equipe',
+        list: 'O nome de usuário consta na lista {list}',
+        notReady: 'Os nomes reservados ainda estão sendo carregados'
+    }
+};
+
+/**
+ * Replace {name} placeholders with params; unknown placeholders are left as-is
+ */
+function interpolate(template, params = {}) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (
+        params[name] === undefined ? placeholder : String(params[name])
+    ));
+}
+
+/**
+ * Parse an Accept-Language header into locales ordered by preference
+ */
+function parseAcceptLanguage(header) {
+    if (!header || typeof header !== 'string') {
+        return [];
+    }
+
+    return header.split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            return { tag: tag.trim(), q: quality ? parseFloat(quality.slice(2)) : 1, index };
+        })
+        .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(entry => entry.tag);
+}
+
+class MessageCatalog {
+    /**
+     * Options:
+     * - locale: default locale (default 'en')
+     * - locales: custom locales to register, { code: { key: template } }
+     */
+    constructor(options = {}) {
+        this.locales = new Map();
+        Object.keys(LOCALES).forEach(code => this.register(code, LOCALES[code]));
+        Object.keys(options.locales || {}).forEach(code => this.register(code, options.locales[code]));
+        this.defaultLocale = this.resolve(options.locale) || 'en';
+    }
+
+    /**
+     * Register a locale or override messages of an existing one
+     */
+    register(code, messages) {
+        const key = code.toLowerCase();
+        this.locales.set(key, Object.assign({}, this.locales.get(key), messages));
+        return this;
+    }
+
+    /**
+     * Find the best registered locale for a code, a list of codes or an Accept-Language header
+     * "pt-BR" falls back to "pt"; returns null when nothing matches
+     */
+    resolve(locale) {
+        const candidates = Array.isArray(locale) ? locale : parseAcceptLanguage(locale);
+        for (const candidate of candidates) {
+            const code = candidate.toLowerCase();
+            if (this.locales.has(code)) {
+                return code;
+            }
+            const base = code.split('-')[0];
+            if (this.locales.has(base)) {
+                return base;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Format a message, falling back to the default locale and then English
+     */
+    format(key, params = {}, locale) {
+        const code = (locale && this.resolve(locale)) || this.defaultLocale;
+        const template = [code, this.defaultLocale, 'en']
+            .map(candidate => this.locales.get(candidate))
+            .map(messages => messages && messages[key])
+            .find(message => message !== undefined);
+        return interpolate(template === undefined ? key : template, params);
+    }
+
+    /**
+     * Whether a message key exists in English or the default locale
+     */
+    has(key) {
+        return [this.defaultLocale, 'en'].some(code => this.locales.get(code) && this.locales.get(code)[key] !== undefined);
+    }
+
+    /**
+     * Registered locale codes
+     */
+    codes() {
+        return Array.from(this.locales.keys());
+    }
+}
+
+module.exports = {
+    LOCALES,
+    MessageCatalog,
+    interpolate,
+    parseAcceptLanguage
+};
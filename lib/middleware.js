@@ -0,0 +1,169 @@
+/**
+ * Express middleware rejecting reserved usernames
+ */
+
+const DEFAULT_LOCATIONS = ['body', 'params', 'query'];
+
+/**
+ * Read a dotted path ("profile.handle") from an object
+ */
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+/**
+ * Turn an extractor result into [{ field, username }]
+ * Extractors may return a string, an array of strings or a { field: username } map
+ */
+function toCandidates(extracted) {
+    if (typeof extracted === 'string') {
+        return [{ field: 'username', username: extracted }];
+    }
+    if (Array.isArray(extracted)) {
+        return extracted.map((username, index) => ({ field: `username[${index}]`, username }));
+    }
+    if (extracted && typeof extracted === 'object') {
+        return Object.keys(extracted).map(field => ({ field, username: extracted[field] }));
+    }
+    return [];
+}
+
+/**
+ * Create an error for next(err) mode
+ */
+function middlewareError(status, code, message, details) {
+    const error = new Error(message);
+    error.status = status;
+    error.statusCode = status;
+    error.code = code;
+    error.details = details;
+    return error;
+}
+
+/**
+ * Create a middleware for Express.js
+ *
+ * Options:
+ * - fields: field names or dotted paths to check (default: usernameField or 'username')
+ * - locations: request properties to read them from, in order (default: body, params, query)
+ * - extract(req): custom extractor returning a string, array or { field: username } map
+ * - waitForReady: wait for the 'ready' event (default true); false responds 503 until ready
+ * - readyTimeout: how long to wait for readiness in ms (default 5000)
+ * - mode: 'respond' sends a 400 JSON response, 'next' calls next(err) with err.status = 400
+ * - onReserved(req, res, next, violations): handle reserved names yourself
+ * - errorMessage: message for the default response (default: the catalog's message)
+ * - locale: locale code or locale(req) function (default: the request's Accept-Language header)
+ * - ownerId(req): owner of the request's signup, whose own holds pass; names held by others get a 409
+ */
+function createExpressMiddleware(reservedUsernames, options = {}) {
+    const fields = [].concat(options.fields || options.usernameField || 'username');
+    const locations = options.locations || DEFAULT_LOCATIONS;
+    const waitForReady = options.waitForReady !== false;
+    const readyTimeout = options.readyTimeout === undefined ? 5000 : options.readyTimeout;
+    const mode = options.mode || 'respond';
+    
+    const localeOf = req => {
+        if (typeof options.locale === 'function') {
+            return options.locale(req);
+        }
+        return options.locale || (req.headers && req.headers['accept-language']) || null;
+    };
+    const message = (req, key) => (key === 'reserved' && options.errorMessage) || reservedUsernames.formatMessage(key, {}, localeOf(req));
+
+    const extract = options.extract || (req => {
+        const found = {};
+        fields.forEach(field => {
+            for (const location of locations) {
+                const value = getPath(req[location], field);
+                if (value !== undefined && value !== null && value !== '') {
+                    found[field] = value;
+                    break;
+                }
+            }
+        });
+        return found;
+    });
+
+    const fail = (res, next, status, code, message, details = {}) => {
+        if (mode === 'next') {
+            return next(middlewareError(status, code, message, details));
+        }
+        return res.status(status).json(Object.assign({ error: message }, details));
+    };
+
+    const check = (req, res, next) => {
+        const ownerId = options.ownerId ? options.ownerId(req) : null;
+        const violations = toCandidates(extract(req))
+            .filter(candidate => typeof candidate.username === 'string' && candidate.username.length > 0)
+            .map(candidate => ({ field: candidate.field, username: candidate.username, detail: reservedUsernames.checkDetailed(candidate.username, { ownerId }) }))
+            .filter(candidate => candidate.detail.isReserved)
+            .map(({ field, username, detail }) => {
+                const violation = {
+                    field,
+                    username,
+                    suggestions: reservedUsernames.suggestAlternatives(username),
+                    reason: {
+                        match: detail.match,
+                        source: detail.source,
+                        strategy: detail.strategy,
+                        category: detail.category,
+                        normalized: detail.normalized
+                    }
+                };
+                if (detail.strategy === 'confusable') {
+                    violation.imitates = detail.match;
+                }
+                if (detail.strategy === 'held') {
+                    violation.reason.heldUntil = detail.heldUntil;
+                }
+                // Canonical form checked in subdomain and email modes
+                ['label', 'localPart'].filter(key => detail[key] !== undefined).forEach(key => {
+                    violation.reason[key] = detail[key];
+                });
+                return violation;
+            });
+
+        if (violations.length === 0) {
+            return next();
+        }
+
+        if (options.onReserved) {
+            return options.onReserved(req, res, next, violations);
+        }
+
+        // The first violation keeps the original top-level response shape
+        const first = violations[0];
+        const details = {
+            suggestions: first.suggestions,
+            reason: first.reason,
+            reserved: violations
+        };
+        if (first.imitates) {
+            details.imitates = first.imitates;
+        }
+
+        if (first.reason.strategy === 'held') {
+            return fail(res, next, 409, 'USERNAME_HELD', message(req, 'held'), details);
+        }
+        return fail(res, next, 400, 'USERNAME_RESERVED', message(req, 'reserved'), details);
+    };
+
+    return (req, res, next) => {
+        if (reservedUsernames.ready) {
+            return check(req, res, next);
+        }
+
+        if (!waitForReady) {
+            return fail(res, next, 503, 'NOT_READY', message(req, 'notReady'));
+        }
+
+        reservedUsernames.whenReady(readyTimeout).then(
+            () => check(req, res, next),
+            () => fail(res, next, 503, 'NOT_READY', message(req, 'notReady'))
+        ).catch(next);
+    };
+}
+
+module.exports = {
+    createExpressMiddleware
+};
@@ -0,0 +1,75 @@
+/**
+ * Username normalization pipeline
+ * Folds common evasions ("adm1n", "ad_min", "s.u.p.p.o.r.t", "root-") onto a comparable form
+ */
+
+// Digit and symbol substitutions commonly used in leetspeak
+const DEFAULT_SUBSTITUTIONS = {
+    '0': 'o', '1': 'i', '2': 'z', '3': 'e', '4': 'a', '5': 's',
+    '6': 'g', '7': 't', '8': 'b', '9': 'g',
+    '@': 'a', '$': 's', '!': 'i', '+': 't', '|': 'l'
+};
+
+const DEFAULT_SEPARATORS = '_.-';
+
+/**
+ * Escape a string for use inside a RegExp character class
+ */
+function escapeCharClass(chars) {
+    return chars.replace(/[\\\]\[^-]/g, '\\$&');
+}
+
+/**
+ * Build a normalizer function from pipeline options
+ *
+ * `true` enables every step with its defaults. An object enables only the steps it names:
+ * - trailingDigits: strip digits appended to the end ("admin1")
+ * - separators: strip separators, `true` for "_.-" or a string of characters
+ * - substitutions: map leetspeak characters, `true` for the default table or a custom map
+ * - collapseRepeats: collapse runs of the same character ("aaadmin")
+ *
+ * Returns null when no step is enabled.
+ */
+function createNormalizer(options) {
+    if (!options) {
+        return null;
+    }
+
+    const steps = options === true
+        ? { trailingDigits: true, separators: true, substitutions: true, collapseRepeats: true }
+        : options;
+    const pipeline = [];
+
+    if (steps.trailingDigits) {
+        pipeline.push(value => value.replace(/(\D)\d+$/, '$1'));
+    }
+
+    if (steps.separators) {
+        const chars = typeof steps.separators === 'string' ? steps.separators : DEFAULT_SEPARATORS;
+        const regex = new RegExp(`[${escapeCharClass(chars)}]+`, 'g');
+        pipeline.push(value => value.replace(regex, ''));
+    }
+
+    if (steps.substitutions) {
+        const table = typeof steps.substitutions === 'object' ? steps.substitutions : DEFAULT_SUBSTITUTIONS;
+        pipeline.push(value => Array.from(value)
+            .map(char => Object.prototype.hasOwnProperty.call(table, char) ? table[char] : char)
+            .join(''));
+    }
+
+    if (steps.collapseRepeats) {
+        pipeline.push(value => value.replace(/(.)\1+/gu, '$1'));
+    }
+
+    if (pipeline.length === 0) {
+        return null;
+    }
+
+    return value => pipeline.reduce((result, step) => step(result), value);
+}
+
+module.exports = {
+    DEFAULT_SUBSTITUTIONS,
+    DEFAULT_SEPARATORS,
+    createNormalizer
+};
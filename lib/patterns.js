@@ -0,0 +1,131 @@
+/**
+ * Pattern entries for the reserved list
+ * Globs ("admin*", "*-bot", "team-?") and anchored regular expressions ("/support[0-9]+/")
+ *
+ * String entries with an unescaped "*" or "?" are globs and entries wrapped in slashes are regular
+ * expressions. A backslash makes the next character literal: "what\?" is the literal "what?",
+ * "\/api/" the literal "/api/" and "team\*-*" a glob for names starting with "team*-".
+ */
+
+/**
+ * Escape a string for use in a RegExp
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convert a glob to an anchored RegExp source
+ */
+function globToSource(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '\\' && i + 1 < glob.length) {
+            source += escapeRegExp(glob[++i]);
+        } else if (char === '*') {
+            source += '.*';
+        } else if (char === '?') {
+            source += '.';
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    return source;
+}
+
+/**
+ * Detect the pattern type of a string entry: 'regex', 'glob', or null for literals
+ */
+function detectPatternType(text) {
+    if (text.length > 2 && text.startsWith('/') && text.endsWith('/')) {
+        return 'regex';
+    }
+    if (/(^|[^\\])(\\\\)*[*?]/.test(text)) {
+        return 'glob';
+    }
+    return null;
+}
+
+/**
+ * Drop the backslashes that keep "*", "?", "\\" and a leading "/" literal
+ */
+function unescapeLiteral(text) {
+    return text.replace(/\\([*?\\/])/g, '$1');
+}
+
+/**
+ * Escape a literal entry so it is not read as a glob or regular expression
+ */
+function escapeLiteral(text) {
+    return text.replace(/[\\*?]/g, '\\$&').replace(/^\//, '\\/');
+}
+
+/**
+ * The literal runs of a glob, unescaped: "admin*" gives ["admin"], "team-?-*" gives ["team-", "-"]
+ */
+function globLiterals(glob) {
+    const literals = [''];
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '\\' && i + 1 < glob.length) {
+            literals[literals.length - 1] += glob[++i];
+        } else if (char === '*' || char === '?') {
+            literals.push('');
+        } else {
+            literals[literals.length - 1] += char;
+        }
+    }
+    return literals.filter(text => text.length > 0);
+}
+
+/**
+ * Parse a reserved entry into a pattern definition, or null when it is a literal
+ * Accepts "admin*", "/support[0-9]+/" or { pattern, type: 'glob' | 'regex' }
+ */
+function parsePattern(entry) {
+    if (typeof entry === 'string') {
+        const type = detectPatternType(entry);
+        if (!type) {
+            return null;
+        }
+        return { pattern: type === 'regex' ? entry.slice(1, -1) : entry, type };
+    }
+
+    if (entry && typeof entry.pattern === 'string') {
+        const type = entry.type || detectPatternType(entry.pattern) || 'glob';
+        if (type !== 'glob' && type !== 'regex') {
+            throw new Error(`Unsupported pattern type: ${type}`);
+        }
+        const pattern = type === 'regex' && detectPatternType(entry.pattern) === 'regex'
+            ? entry.pattern.slice(1, -1)
+            : entry.pattern;
+        return { pattern, type };
+    }
+
+    return null;
+}
+
+/**
+ * Compile a pattern definition into an anchored RegExp
+ */
+function compilePattern(definition, caseSensitive) {
+    const source = definition.type === 'regex' ? definition.pattern : globToSource(definition.pattern);
+    return new RegExp(`^(?:${source})$`, caseSensitive ? '' : 'i');
+}
+
+/**
+ * Serialize a pattern definition back to its string entry form
+ */
+function formatPattern(definition) {
+    return definition.type === 'regex' ? `/${definition.pattern}/` : definition.pattern;
+}
+
+module.exports = {
+    parsePattern,
+    unescapeLiteral,
+    escapeLiteral,
+    globLiterals,
+    compilePattern,
+    formatPattern
+};
@@ -0,0 +1,136 @@
+/**
+ * Route table scanning for Express apps and routers
+ * Collects the first static path segment claimed by every route and mount path
+ */
+
+// Characters that make a path segment dynamic in Express path strings
+const DYNAMIC_SEGMENT = /[:*?+()[\]{}\\]/;
+
+/**
+ * First static segment of a path string, or null
+ */
+function segmentFromPath(routePath) {
+    const segment = routePath.split('/').filter(part => part.length > 0)[0];
+    if (!segment || DYNAMIC_SEGMENT.test(segment)) {
+        return null;
+    }
+    return segment;
+}
+
+/**
+ * First static segment of a path-to-regexp source such as ^\/api\/v1\/?(?=\/|$), or null
+ */
+function segmentFromRegExp(regexp) {
+    const source = regexp.source;
+    if (!source.startsWith('^\\/')) {
+        return null;
+    }
+
+    let segment = '';
+    let i = 3;
+    while (i < source.length) {
+        const char = source[i];
+        if (char === '\\') {
+            if (source[i + 1] === '/') {
+                break;
+            }
+            segment += source[i + 1];
+            i += 2;
+        } else if (/[\w\-~%@!]/.test(char)) {
+            segment += char;
+            i++;
+        } else {
+            break;
+        }
+    }
+
+    // The segment is static only if it ends at a separator or the end of the path
+    const rest = source.slice(i);
+    const terminated = /^(\\\/|\$|\(\?=|\(\?:\\\/|\|)/.test(rest) || rest === '';
+    return segment && terminated ? segment : null;
+}
+
+/**
+ * Get the layer stack of an Express app or router
+ * Express 4 apps create _router with their first route and throw on the deprecated app.router getter,
+ * so they are read through _router only; Express 5 apps expose app.router
+ */
+function getStack(appOrRouter) {
+    if (Array.isArray(appOrRouter.stack)) {
+        return appOrRouter.stack;
+    }
+    const express4 = '_router' in appOrRouter || typeof appOrRouter.lazyrouter === 'function';
+    const router = express4 ? appOrRouter._router : appOrRouter.router;
+    return router && Array.isArray(router.stack) ? router.stack : [];
+}
+
+/**
+ * Collect the first static segment of every route and mount path
+ */
+function collectRouteSegments(appOrRouter) {
+    const segments = new Set();
+
+    const walk = stack => {
+        stack.forEach(layer => {
+            if (layer.route) {
+                [].concat(layer.route.path).forEach(routePath => {
+                    const segment = routePath instanceof RegExp ? segmentFromRegExp(routePath) : segmentFromPath(routePath);
+                    if (segment) {
+                        segments.add(segment);
+                    }
+                });
+                return;
+            }
+
+            // Middleware and routers mounted at the root claim nothing themselves; look inside routers
+            const mountedAtRoot = (layer.regexp && layer.regexp.fast_slash) || layer.path === '' || layer.path === '/';
+            if (mountedAtRoot) {
+                if (layer.handle && Array.isArray(layer.handle.stack)) {
+                    walk(layer.handle.stack);
+                }
+                return;
+            }
+
+            const segment = typeof layer.path === 'string'
+                ? segmentFromPath(layer.path)
+                : layer.regexp && segmentFromRegExp(layer.regexp);
+            if (segment) {
+                segments.add(segment);
+            }
+        });
+    };
+
+    walk(getStack(appOrRouter));
+    return Array.from(segments);
+}
+
+/**
+ * Reserve the route segments of an Express app with a 'route' provenance
+ * Re-run it after adding routes; entries from the given sources that no longer
+ * match any route are reported as stale, and removed when prune is set
+ *
+ * Options:
+ * - category: category for newly added segments
+ * - sources: provenances compared against the routes (default ['route'])
+ * - prune: remove stale entries (default false)
+ */
+function reserveRoutes(reservedUsernames, appOrRouter, options = {}) {
+    const sources = options.sources || ['route'];
+    const segments = collectRouteSegments(appOrRouter);
+    const keys = new Set(segments.map(segment => reservedUsernames.describeEntry(segment).username));
+
+    // Names already reserved from another source keep their provenance
+    const added = Array.from(keys).filter(key => !reservedUsernames.reservedList.has(key));
+    reservedUsernames.addReserved(added, 'route', options.category || null);
+
+    const stale = reservedUsernames.getAll()
+        .filter(username => sources.includes(reservedUsernames.entrySources.get(username)) && !keys.has(username));
+    const removed = options.prune ? reservedUsernames.remove(stale) : 0;
+
+    return { segments, added, stale, removed };
+}
+
+module.exports = {
+    collectRouteSegments,
+    reserveRoutes
+};
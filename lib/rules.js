@@ -0,0 +1,227 @@
+/**
+ * Declarative validation rules
+ * Rule objects are checked up front and compiled once into a reusable checker
+ *
+ * Schema:
+ * - preset: preset name, rules object or a list of them, merged left to right before the own keys
+ * - minLength, maxLength: length limits
+ * - allowedChars: characters allowed anywhere, as literal characters, ranges and class escapes ("a-z0-9_-", "\w\-")
+ * - startChars, endChars: characters allowed in the first and last position
+ * - separators: characters treated as separators (default "-_.")
+ * - noConsecutiveSeparators: reject two separators in a row
+ * - allowDigitsOnly: false rejects names made only of digits
+ * - forbiddenPatterns: regular expressions (strings are matched case-insensitively)
+ * - similarity: flag near misses of reserved names (true or a maximum edit distance)
+ */
+
+const PRESETS = {
+    // Alphanumeric with single inner hyphens, up to 39 characters
+    github: {
+        minLength: 1,
+        maxLength: 39,
+        allowedChars: 'a-zA-Z0-9-',
+        startChars: 'a-zA-Z0-9',
+        endChars: 'a-zA-Z0-9',
+        separators: '-',
+        noConsecutiveSeparators: true
+    },
+    // Letters, digits, underscores and inner periods, up to 30 characters
+    social: {
+        minLength: 1,
+        maxLength: 30,
+        allowedChars: 'a-zA-Z0-9_.',
+        startChars: 'a-zA-Z0-9_',
+        endChars: 'a-zA-Z0-9_',
+        separators: '.',
+        noConsecutiveSeparators: true,
+        allowDigitsOnly: false
+    },
+    // Lowercase URL segment with single inner hyphens
+    slug: {
+        minLength: 1,
+        maxLength: 63,
+        allowedChars: 'a-z0-9-',
+        startChars: 'a-z0-9',
+        endChars: 'a-z0-9',
+        separators: '-',
+        noConsecutiveSeparators: true
+    }
+};
+
+const RULE_TYPES = {
+    preset: () => true,
+    minLength: value => Number.isInteger(value) && value >= 0,
+    maxLength: value => Number.isInteger(value) && value >= 0,
+    allowedChars: value => typeof value === 'string' && value.length > 0,
+    startChars: value => typeof value === 'string' && value.length > 0,
+    endChars: value => typeof value === 'string' && value.length > 0,
+    separators: value => typeof value === 'string',
+    noConsecutiveSeparators: value => typeof value === 'boolean',
+    allowDigitsOnly: value => typeof value === 'boolean',
+    forbiddenPatterns: value => Array.isArray(value) && value.every(pattern => typeof pattern === 'string' || pattern instanceof RegExp),
+    similarity: value => typeof value === 'boolean' || (Number.isInteger(value) && value >= 0)
+};
+
+const COMPILED = Symbol('compiled');
+
+/**
+ * Escape a character set for use inside a RegExp character class
+ * Ranges like "a-z" and escapes like "\w", "\d" and "\-" are kept; "]", a trailing "\" and a leading "^"
+ * are taken literally
+ */
+function escapeCharClass(chars) {
+    return chars.replace(/\\[\s\S]|\\$|\]/g, match => (match.length === 2 ? match : `\\${match}`)).replace(/^\^/, '\\^');
+}
+
+/**
+ * Build a single-character matcher for a character set
+ */
+function charMatcher(chars) {
+    return new RegExp(`^[${escapeCharClass(chars)}]$`, 'u');
+}
+
+/**
+ * Merge a rule object with the presets it extends
+ */
+function resolveRules(rules, presets, seen = []) {
+    if (typeof rules === 'string') {
+        if (!presets[rules]) {
+            throw new Error(`Unknown validation preset: ${rules}`);
+        }
+        if (seen.includes(rules)) {
+            throw new Error(`Circular validation preset: ${seen.concat(rules).join(' -> ')}`);
+        }
+        return resolveRules(presets[rules], presets, seen.concat(rules));
+    }
+
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new Error('Validation rules must be an object or a preset name');
+    }
+
+    const base = [].concat(rules.preset || [])
+        .reduce((merged, preset) => Object.assign(merged, resolveRules(preset, presets, seen)), {});
+    // Undefined own keys keep the preset's value
+    Object.keys(rules)
+        .filter(key => key !== 'preset' && rules[key] !== undefined)
+        .forEach(key => {
+            base[key] = rules[key];
+        });
+    return base;
+}
+
+/**
+ * Check rule values against the schema
+ * Returns the character matchers so bad ranges and escapes fail here rather than on first use
+ */
+function checkSchema(rules) {
+    Object.keys(rules).forEach(key => {
+        if (!RULE_TYPES[key]) {
+            throw new Error(`Unknown validation rule: ${key}`);
+        }
+        if (rules[key] !== undefined && !RULE_TYPES[key](rules[key])) {
+            throw new Error(`Invalid value for validation rule ${key}`);
+        }
+    });
+
+    if (rules.minLength !== undefined && rules.maxLength !== undefined && rules.minLength > rules.maxLength) {
+        throw new Error('minLength cannot be greater than maxLength');
+    }
+
+    const matchers = {};
+    ['allowedChars', 'startChars', 'endChars'].filter(key => rules[key] !== undefined).forEach(key => {
+        try {
+            matchers[key] = charMatcher(rules[key]);
+        } catch (error) {
+            throw new Error(`Invalid value for validation rule ${key}: ${error.message}`);
+        }
+    });
+    return matchers;
+}
+
+/**
+ * Compile rules into { rules, similarity, check(username) }
+ * check returns [{ code, key, params }] where key names the catalog message
+ */
+function compileRules(rules = {}, presets = PRESETS) {
+    if (rules && rules[COMPILED]) {
+        return rules;
+    }
+
+    const resolved = resolveRules(rules, presets);
+    const matchers = checkSchema(resolved);
+
+    const allowed = matchers.allowedChars;
+    const start = matchers.startChars;
+    const end = matchers.endChars;
+    const separators = new Set(Array.from(resolved.separators === undefined ? '-_.' : resolved.separators));
+    const forbidden = (resolved.forbiddenPatterns || []).map(pattern => {
+        try {
+            return pattern instanceof RegExp
+                ? { source: pattern.source, regex: pattern }
+                : { source: pattern, regex: new RegExp(pattern, 'i') };
+        } catch (error) {
+            throw new Error(`Invalid forbidden pattern ${pattern}: ${error.message}`);
+        }
+    });
+
+    const check = username => {
+        // Anything but a string has no valid characters to check
+        if (typeof username !== 'string') {
+            return [{ code: 'INVALID_CHARS', key: 'invalidChars', params: { chars: [] } }];
+        }
+
+        const issues = [];
+        const chars = Array.from(username);
+
+        if (resolved.minLength && chars.length < resolved.minLength) {
+            issues.push({ code: 'TOO_SHORT', key: 'minLength', params: { limit: resolved.minLength, length: chars.length } });
+        }
+
+        if (resolved.maxLength && chars.length > resolved.maxLength) {
+            issues.push({ code: 'TOO_LONG', key: 'maxLength', params: { limit: resolved.maxLength, length: chars.length } });
+        }
+
+        if (allowed) {
+            const invalid = Array.from(new Set(chars.filter(char => !allowed.test(char))));
+            if (chars.length === 0 || invalid.length > 0) {
+                issues.push({ code: 'INVALID_CHARS', key: 'invalidChars', params: { chars: invalid } });
+            }
+        }
+
+        if (start && chars.length > 0 && !start.test(chars[0])) {
+            issues.push({ code: 'INVALID_START', key: 'invalidStart', params: { char: chars[0] } });
+        }
+
+        if (end && chars.length > 0 && !end.test(chars[chars.length - 1])) {
+            issues.push({ code: 'INVALID_END', key: 'invalidEnd', params: { char: chars[chars.length - 1] } });
+        }
+
+        if (resolved.noConsecutiveSeparators) {
+            const position = chars.findIndex((char, index) => index > 0 && separators.has(char) && separators.has(chars[index - 1]));
+            if (position !== -1) {
+                issues.push({ code: 'CONSECUTIVE_SEPARATORS', key: 'consecutiveSeparators', params: { position: position - 1 } });
+            }
+        }
+
+        if (resolved.allowDigitsOnly === false && /^[0-9]+$/.test(username)) {
+            issues.push({ code: 'DIGITS_ONLY', key: 'digitsOnly', params: {} });
+        }
+
+        forbidden.forEach(({ source, regex }) => {
+            regex.lastIndex = 0;
+            if (regex.test(username)) {
+                issues.push({ code: 'FORBIDDEN_PATTERN', key: 'forbiddenPattern', params: { pattern: source } });
+            }
+        });
+
+        return issues;
+    };
+
+    return { [COMPILED]: true, rules: resolved, similarity: resolved.similarity, check };
+}
+
+module.exports = {
+    PRESETS,
+    compileRules,
+    escapeCharClass
+};
@@ -0,0 +1,229 @@
+/**
+ * Standalone HTTP availability service
+ * Exposes a ReservedUsernames instance over JSON using Node's http module only
+ *
+ * GET  /check/:username        checkDetailed result
+ * POST /check                  { usernames: [...] } batch check
+ * GET  /suggest/:username      available alternatives (?count=), checked with options.isTaken when given
+ * POST /validate               { username | usernames, rules, locale, abortEarly } as in validateUsername;
+ *                              the locale defaults to the Accept-Language header. Rules from clients may not
+ *                              carry forbiddenPatterns, which could stall the service with a catastrophic
+ *                              regular expression, unless options.allowPatterns is set
+ * GET  /stats                  getStats
+ * GET  /export?format=         json, csv or txt
+ * GET  /health                 liveness
+ * GET  /ready                  503 until the instance has emitted 'ready'
+ */
+
+const http = require('http');
+const { URL } = require('url');
+
+const DEFAULT_MAX_BODY = 1024 * 1024;
+
+const EXPORT_TYPES = {
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    txt: 'text/plain; charset=utf-8'
+};
+
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, statusCode, payload) {
+    const body = JSON.stringify(payload);
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJson(req, maxBody) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let received = 0;
+
+        req.on('data', chunk => {
+            received += chunk.length;
+            if (received > maxBody) {
+                reject(new HttpError(413, `Request body exceeds ${maxBody} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body must be valid JSON'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read the username list from a batch body
+ */
+function usernamesFrom(body) {
+    const usernames = Array.isArray(body) ? body : body && (body.usernames || (body.username && [body.username]));
+    if (!Array.isArray(usernames) || !usernames.every(username => typeof username === 'string')) {
+        throw new HttpError(400, 'Expected { "usernames": [string] } or { "username": string }');
+    }
+    return usernames;
+}
+
+/**
+ * Whether client rules, or rule objects they extend, define forbiddenPatterns
+ * Preset names refer to server-side presets and are trusted
+ */
+function hasPatterns(rules) {
+    if (!rules || typeof rules !== 'object') {
+        return false;
+    }
+    return rules.forbiddenPatterns !== undefined || [].concat(rules.preset || []).some(hasPatterns);
+}
+
+/**
+ * Create the request handler
+ *
+ * Options:
+ * - maxBody: largest request body in bytes (default 1 MB)
+ * - maxBatch: most usernames per batch request (default 1000)
+ * - isTaken(names): availability check for GET /suggest
+ * - allowPatterns: accept forbiddenPatterns in POST /validate rules (default false)
+ */
+function createHandler(reservedUsernames, options = {}) {
+    const maxBody = options.maxBody || DEFAULT_MAX_BODY;
+    const maxBatch = options.maxBatch || 1000;
+
+    const routes = [
+        ['GET', /^\/health$/, () => ({ status: 'ok' })],
+
+        ['GET', /^\/ready$/, () => {
+            if (!reservedUsernames.ready) {
+                throw new HttpError(503, 'Reserved list is still loading');
+            }
+            return { status: 'ready', total: reservedUsernames.getAll().length };
+        }],
+
+        ['GET', /^\/check\/([^/]+)$/, (req, url, match) => reservedUsernames.checkDetailed(match[1])],
+
+        ['POST', /^\/check$/, async req => {
+            const usernames = usernamesFrom(await readJson(req, maxBody));
+            if (usernames.length > maxBatch) {
+                throw new HttpError(413, `At most ${maxBatch} usernames per request`);
+            }
+            return { results: usernames.map(username => reservedUsernames.checkDetailed(username)) };
+        }],
+
+        ['GET', /^\/suggest\/([^/]+)$/, async (req, url, match) => {
+            const count = url.searchParams.has('count') ? parseInt(url.searchParams.get('count'), 10) : 5;
+            if (Number.isNaN(count) || count < 1 || count > 100) {
+                throw new HttpError(400, 'count must be between 1 and 100');
+            }
+            return { username: match[1], suggestions: await reservedUsernames.suggest(match[1], { count, isTaken: options.isTaken }) };
+        }],
+
+        ['POST', /^\/validate$/, async req => {
+            const body = await readJson(req, maxBody);
+            const usernames = usernamesFrom(body);
+            if (usernames.length > maxBatch) {
+                throw new HttpError(413, `At most ${maxBatch} usernames per request`);
+            }
+            const requested = (body && body.rules) || {};
+            if (!options.allowPatterns && hasPatterns(requested)) {
+                throw new HttpError(400, 'forbiddenPatterns are not accepted from clients; use a preset or length and character rules');
+            }
+            let rules;
+            try {
+                rules = reservedUsernames.compileRules(requested);
+            } catch (error) {
+                throw new HttpError(400, error.message);
+            }
+            const locale = (body && body.locale) || req.headers['accept-language'] || null;
+            const abortEarly = Boolean(body && body.abortEarly);
+            return { results: usernames.map(username => reservedUsernames.validateUsername(username, rules, { locale, abortEarly })) };
+        }],
+
+        ['GET', /^\/stats$/, () => reservedUsernames.getStats()],
+
+        ['GET', /^\/export$/, (req, url, match, res) => {
+            const format = (url.searchParams.get('format') || 'json').toLowerCase();
+            if (!EXPORT_TYPES[format]) {
+                throw new HttpError(400, `Unsupported format: ${format}`);
+            }
+            const body = reservedUsernames.export(format);
+            res.writeHead(200, { 'Content-Type': EXPORT_TYPES[format], 'Content-Length': Buffer.byteLength(body) });
+            res.end(body);
+            return undefined;
+        }]
+    ];
+
+    return async (req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const pathname = url.pathname.replace(/\/+$/, '') || '/';
+            const matching = routes
+                .map(([method, pattern, handler]) => ({ method, handler, match: pattern.exec(pathname) }))
+                .filter(route => route.match);
+
+            if (matching.length === 0) {
+                throw new HttpError(404, `Not found: ${pathname}`);
+            }
+
+            const route = matching.find(candidate => candidate.method === req.method);
+            if (!route) {
+                res.setHeader('Allow', matching.map(candidate => candidate.method).join(', '));
+                throw new HttpError(405, `Method ${req.method} not allowed`);
+            }
+
+            // Everything but liveness and readiness needs the list loaded
+            if (!reservedUsernames.ready && !/^\/(health|ready)$/.test(pathname)) {
+                throw new HttpError(503, 'Reserved list is still loading');
+            }
+
+            const match = route.match.map(part => (part === undefined ? part : decodeURIComponent(part)));
+            const payload = await route.handler(req, url, match, res);
+            if (payload !== undefined) {
+                sendJson(res, 200, payload);
+            }
+        } catch (error) {
+            const statusCode = error.statusCode || (error instanceof URIError ? 400 : 500);
+            if (statusCode === 503) {
+                res.setHeader('Retry-After', '1');
+            }
+            if (!res.headersSent) {
+                sendJson(res, statusCode, { error: statusCode === 500 ? 'Internal server error' : error.message });
+            }
+            if (statusCode === 500) {
+                console.warn('Request failed:', error.message);
+            }
+        }
+    };
+}
+
+/**
+ * Create an http.Server for a ReservedUsernames instance
+ */
+function createServer(reservedUsernames, options = {}) {
+    return http.createServer(createHandler(reservedUsernames, options));
+}
+
+module.exports = {
+    createServer,
+    createHandler
+};
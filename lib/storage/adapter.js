@@ -0,0 +1,78 @@
+/**
+ * Storage adapter contract for the reserved list
+ *
+ * Adapters let several ReservedUsernames instances share entries added through import()
+ * and remove(), and hear about each other's changes. Every method returns a Promise
+ * except subscribe(). Entries are plain objects: { username, category, source }, where
+ * username is already normalized by ReservedUsernames and may be a pattern ("admin*").
+ *
+ * - load(): connect and read the current state; called once before anything else
+ * - save(entries): replace every stored entry
+ * - add(entries): insert or update entries, keyed by username
+ * - remove(usernames): delete entries by username
+ * - has(username): whether an entry is stored
+ * - list(): every stored entry
+ * - subscribe(listener): call listener(change) for every change, including ones made by
+ *   other instances; returns an unsubscribe function. change is one of
+ *   { type: 'add', entries }, { type: 'remove', usernames } or { type: 'replace', entries }
+ * - close(): release connections and watchers
+ *
+ * An adapter for a key-value server would typically keep entries in a hash keyed by
+ * username and publish changes on a channel that subscribe() listens to. Validate new
+ * adapters with runStorageContract() from ./contract.
+ */
+
+const EventEmitter = require('events');
+
+class StorageAdapter {
+    constructor() {
+        this.emitter = new EventEmitter();
+    }
+
+    async load() {
+        throw new Error('Storage adapter must implement load()');
+    }
+
+    async save() {
+        throw new Error('Storage adapter must implement save()');
+    }
+
+    async add() {
+        throw new Error('Storage adapter must implement add()');
+    }
+
+    async remove() {
+        throw new Error('Storage adapter must implement remove()');
+    }
+
+    async has() {
+        throw new Error('Storage adapter must implement has()');
+    }
+
+    async list() {
+        throw new Error('Storage adapter must implement list()');
+    }
+
+    /**
+     * Listen for changes; returns an unsubscribe function
+     */
+    subscribe(listener) {
+        this.emitter.on('change', listener);
+        return () => this.emitter.removeListener('change', listener);
+    }
+
+    /**
+     * Notify subscribers of a change
+     */
+    notify(change) {
+        this.emitter.emit('change', change);
+    }
+
+    async close() {
+        this.emitter.removeAllListeners('change');
+    }
+}
+
+module.exports = {
+    StorageAdapter
+};
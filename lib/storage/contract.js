@@ -0,0 +1,91 @@
+/**
+ * Offline test harness for storage adapters
+ *
+ * Usage:
+ *   const { runStorageContract } = require('./lib/storage/contract');
+ *   const report = await runStorageContract(() => new MyAdapter({ ... }));
+ *   // report: { passed, failed, results: [{ name, ok, error }] }
+ *
+ * createAdapter is called once per check and must return a fresh, empty adapter.
+ */
+
+const assert = require('assert');
+
+const CHECKS = [
+    ['load() starts empty', async adapter => {
+        assert.deepStrictEqual(await adapter.list(), []);
+        assert.strictEqual(await adapter.has('admin'), false);
+    }],
+
+    ['add() stores entries keyed by username', async adapter => {
+        await adapter.add([{ username: 'admin', category: 'security', source: 'import' }]);
+        await adapter.add([{ username: 'admin', category: 'staff', source: 'import' }, { username: 'shop*', source: 'import' }]);
+        const entries = await adapter.list();
+        assert.strictEqual(entries.length, 2);
+        assert.strictEqual(entries.find(entry => entry.username === 'admin').category, 'staff');
+        assert.strictEqual(await adapter.has('shop*'), true);
+    }],
+
+    ['remove() deletes entries', async adapter => {
+        await adapter.add([{ username: 'admin' }, { username: 'root' }]);
+        await adapter.remove(['admin', 'missing']);
+        assert.strictEqual(await adapter.has('admin'), false);
+        assert.deepStrictEqual((await adapter.list()).map(entry => entry.username), ['root']);
+    }],
+
+    ['save() replaces every entry', async adapter => {
+        await adapter.add([{ username: 'admin' }]);
+        await adapter.save([{ username: 'root' }, { username: 'api' }]);
+        const usernames = (await adapter.list()).map(entry => entry.username).sort();
+        assert.deepStrictEqual(usernames, ['api', 'root']);
+    }],
+
+    ['subscribe() reports changes until unsubscribed', async adapter => {
+        const changes = [];
+        const unsubscribe = adapter.subscribe(change => changes.push(change));
+        assert.strictEqual(typeof unsubscribe, 'function');
+
+        await adapter.add([{ username: 'admin' }]);
+        await adapter.remove(['admin']);
+        await adapter.save([{ username: 'root' }]);
+        unsubscribe();
+        await adapter.add([{ username: 'api' }]);
+
+        assert.deepStrictEqual(changes.map(change => change.type), ['add', 'remove', 'replace']);
+        assert.strictEqual(changes[0].entries[0].username, 'admin');
+        assert.deepStrictEqual(changes[1].usernames, ['admin']);
+        assert.strictEqual(changes[2].entries[0].username, 'root');
+    }]
+];
+
+/**
+ * Run every contract check against fresh adapters
+ */
+async function runStorageContract(createAdapter) {
+    const results = [];
+
+    for (const [name, check] of CHECKS) {
+        const adapter = await createAdapter();
+        try {
+            await adapter.load();
+            await check(adapter);
+            results.push({ name, ok: true, error: null });
+        } catch (error) {
+            results.push({ name, ok: false, error });
+        } finally {
+            if (typeof adapter.close === 'function') {
+                await adapter.close();
+            }
+        }
+    }
+
+    return {
+        passed: results.filter(result => result.ok).length,
+        failed: results.filter(result => !result.ok).length,
+        results
+    };
+}
+
+module.exports = {
+    runStorageContract
+};
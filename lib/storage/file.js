@@ -0,0 +1,141 @@
+/**
+ * JSON file storage adapter
+ * Instances pointing at the same file see each other's changes by polling it for modifications
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { StorageAdapter } = require('./adapter');
+
+class FileStorage extends StorageAdapter {
+    constructor(options = {}) {
+        super();
+        if (!options.file) {
+            throw new Error('FileStorage requires a file option');
+        }
+        this.file = options.file;
+        this.watch = options.watch !== false;
+        this.interval = options.interval || 1000;
+        this.entries = new Map();
+        this.watcher = null;
+        // Read-modify-write operations run one at a time so overlapping calls cannot drop entries
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run an operation after every earlier one has finished, whether or not it failed
+     */
+    serialize(operation) {
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async load() {
+        this.entries = await this.read();
+
+        if (this.watch && !this.watcher) {
+            this.watcher = () => {
+                this.serialize(() => this.refresh()).catch(error => console.warn('Failed to refresh storage:', error.message));
+            };
+            fs.watchFile(this.file, { interval: this.interval, persistent: false }, this.watcher);
+        }
+    }
+
+    /**
+     * Read entries from disk
+     */
+    async read() {
+        try {
+            const data = await fs.promises.readFile(this.file, 'utf8');
+            return new Map(JSON.parse(data).map(entry => [entry.username, entry]));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return new Map();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Write entries to disk through a temp file and rename
+     */
+    async write() {
+        const tempFile = `${this.file}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        try {
+            await fs.promises.writeFile(tempFile, JSON.stringify(Array.from(this.entries.values()), null, 2));
+            await fs.promises.rename(tempFile, this.file);
+        } catch (error) {
+            await fs.promises.unlink(tempFile).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Reload the file and notify subscribers of changes made elsewhere
+     */
+    async refresh() {
+        const before = this.entries;
+        this.entries = await this.read();
+
+        const added = Array.from(this.entries.values())
+            .filter(entry => JSON.stringify(before.get(entry.username)) !== JSON.stringify(entry));
+        const removed = Array.from(before.keys()).filter(username => !this.entries.has(username));
+
+        if (added.length > 0) {
+            this.notify({ type: 'add', entries: added });
+        }
+        if (removed.length > 0) {
+            this.notify({ type: 'remove', usernames: removed });
+        }
+    }
+
+    async save(entries) {
+        await this.serialize(async () => {
+            this.entries = new Map(entries.map(entry => [entry.username, entry]));
+            await this.write();
+        });
+        this.notify({ type: 'replace', entries: await this.list() });
+    }
+
+    async add(entries) {
+        await this.serialize(async () => {
+            this.entries = await this.read();
+            entries.forEach(entry => this.entries.set(entry.username, entry));
+            await this.write();
+        });
+        this.notify({ type: 'add', entries });
+    }
+
+    async remove(usernames) {
+        const removed = await this.serialize(async () => {
+            this.entries = await this.read();
+            const deleted = usernames.filter(username => this.entries.delete(username));
+            await this.write();
+            return deleted;
+        });
+        if (removed.length > 0) {
+            this.notify({ type: 'remove', usernames: removed });
+        }
+    }
+
+    async has(username) {
+        return this.entries.has(username);
+    }
+
+    async list() {
+        return Array.from(this.entries.values());
+    }
+
+    async close() {
+        if (this.watcher) {
+            fs.unwatchFile(this.file, this.watcher);
+            this.watcher = null;
+        }
+        await super.close();
+    }
+}
+
+module.exports = {
+    FileStorage
+};
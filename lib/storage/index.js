@@ -0,0 +1,15 @@
+/**
+ * Storage adapters for sharing the reserved list between instances
+ */
+
+const { StorageAdapter } = require('./adapter');
+const { MemoryStorage } = require('./memory');
+const { FileStorage } = require('./file');
+const { runStorageContract } = require('./contract');
+
+module.exports = {
+    StorageAdapter,
+    MemoryStorage,
+    FileStorage,
+    runStorageContract
+};
@@ -0,0 +1,45 @@
+/**
+ * In-memory storage adapter
+ * Share one instance between ReservedUsernames objects in the same process
+ */
+
+const { StorageAdapter } = require('./adapter');
+
+class MemoryStorage extends StorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.entries = new Map();
+        (options.entries || []).forEach(entry => this.entries.set(entry.username, entry));
+    }
+
+    async load() {}
+
+    async save(entries) {
+        this.entries = new Map(entries.map(entry => [entry.username, entry]));
+        this.notify({ type: 'replace', entries: await this.list() });
+    }
+
+    async add(entries) {
+        entries.forEach(entry => this.entries.set(entry.username, entry));
+        this.notify({ type: 'add', entries });
+    }
+
+    async remove(usernames) {
+        const removed = usernames.filter(username => this.entries.delete(username));
+        if (removed.length > 0) {
+            this.notify({ type: 'remove', usernames: removed });
+        }
+    }
+
+    async has(username) {
+        return this.entries.has(username);
+    }
+
+    async list() {
+        return Array.from(this.entries.values());
+    }
+}
+
+module.exports = {
+    MemoryStorage
+};
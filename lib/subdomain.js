@@ -0,0 +1,83 @@
+/**
+ * Subdomain mode: DNS label syntax (RFC 1123), IDN conversion and infrastructure labels
+ */
+
+const { domainToASCII } = require('url');
+
+const MAX_LABEL_OCTETS = 63;
+
+// Labels used by mail, DNS, web and hosting infrastructure
+const INFRASTRUCTURE_LABELS = [
+    'www', 'www1', 'www2', 'www3', 'web', 'm', 'mobile', 'wap',
+    'mail', 'email', 'webmail', 'smtp', 'imap', 'pop', 'pop3', 'mx', 'mx1', 'mx2', 'mta-sts', 'exchange', 'owa',
+    'autodiscover', 'autoconfig', 'lyncdiscover', 'sip',
+    'ns', 'ns1', 'ns2', 'ns3', 'ns4', 'dns', 'dns1', 'dns2',
+    '_dmarc', '_domainkey', '_acme-challenge', '_mta-sts', '_smtp', '_tls', '_tcp', '_udp', '_sip', '_domainconnect',
+    'cdn', 'static', 'assets', 'img', 'images', 'media', 'files', 'origin', 'edge',
+    'api', 'app', 'apps', 'admin', 'status', 'docs', 'help', 'support',
+    'ftp', 'sftp', 'ssh', 'git', 'vpn', 'remote', 'proxy', 'gateway', 'lb',
+    'cpanel', 'whm', 'webdisk', 'portal', 'intranet', 'localhost',
+    'dev', 'staging', 'stage', 'test', 'qa', 'preview', 'sandbox', 'demo', 'beta'
+];
+
+/**
+ * Convert a label to its lowercase ASCII (punycode) form, or null when it cannot be converted
+ * Plain ASCII labels are only lowercased since WHATWG host parsing would read "123" or "0x10" as IPv4
+ * addresses; typed punycode ("xn--") still goes through conversion so invalid encodings are caught
+ */
+function toAsciiLabel(label) {
+    if (typeof label !== 'string' || label.length === 0) {
+        return null;
+    }
+    if (!/[^\x00-\x7f]/.test(label) && !/^xn--/i.test(label)) {
+        return label.toLowerCase();
+    }
+    const ascii = domainToASCII(label);
+    return ascii ? ascii.toLowerCase() : null;
+}
+
+/**
+ * Check a single DNS label
+ * Returns [{ code, key, params }] like compiled validation rules
+ *
+ * Options:
+ * - allowPunycode: accept labels typed as "xn--..." (default false)
+ * - allowIDN: accept internationalized labels, checked in their punycode form (default true)
+ */
+function checkLabel(label, options = {}) {
+    const ascii = toAsciiLabel(label);
+    const isIDN = /[^\x00-\x7f]/.test(label);
+
+    if (ascii === null || (isIDN && options.allowIDN === false)) {
+        return [{ code: 'INVALID_IDN', key: 'labelInvalid', params: {} }];
+    }
+
+    const issues = [];
+    const octets = Buffer.byteLength(ascii);
+    if (octets > MAX_LABEL_OCTETS) {
+        issues.push({ code: 'LABEL_TOO_LONG', key: 'labelTooLong', params: { limit: MAX_LABEL_OCTETS, length: octets } });
+    }
+
+    const invalid = Array.from(new Set(Array.from(ascii).filter(char => !/[a-z0-9-]/.test(char))));
+    if (invalid.length > 0) {
+        issues.push({ code: 'INVALID_LABEL_CHARS', key: 'labelChars', params: { chars: invalid } });
+    }
+
+    if (ascii.startsWith('-') || ascii.endsWith('-')) {
+        issues.push({ code: 'LABEL_HYPHEN', key: 'labelHyphen', params: {} });
+    }
+
+    // Hyphens in positions 3 and 4 are reserved for encodings like "xn--"; only converted IDNs may use them
+    if (ascii.slice(2, 4) === '--' && !(isIDN || (options.allowPunycode && ascii.startsWith('xn--')))) {
+        issues.push({ code: 'RESERVED_LABEL_PREFIX', key: 'labelPrefix', params: { prefix: ascii.slice(0, 4) } });
+    }
+
+    return issues;
+}
+
+module.exports = {
+    INFRASTRUCTURE_LABELS,
+    MAX_LABEL_OCTETS,
+    toAsciiLabel,
+    checkLabel
+};
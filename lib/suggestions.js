@@ -0,0 +1,205 @@
+/**
+ * Suggestion candidates for unavailable usernames
+ * Strategies generate variants of a name; candidates are ranked by edit distance to the original
+ */
+
+const { levenshtein } = require('./bk-tree');
+
+const SEPARATORS = ['-', '_', '.'];
+const PREFIXES = ['my', 'the', 'its', 'hey', 'hi', 'im'];
+const SUFFIXES = ['hq', 'app', 'dev', 'io', 'labs', 'studio', 'online', 'co'];
+
+// Letters NFKD does not decompose into ASCII
+const TRANSLITERATIONS = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'ł': 'l', 'þ': 'th', 'ı': 'i', 'ŋ': 'ng',
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'ж': 'zh', 'з': 'z', 'и': 'i',
+    'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't',
+    'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '',
+    'э': 'e', 'ю': 'yu', 'я': 'ya',
+    'α': 'a', 'β': 'b', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th', 'ι': 'i', 'κ': 'k',
+    'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't',
+    'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+/**
+ * Transliterate to ASCII, dropping characters without a mapping
+ */
+function transliterate(text) {
+    return Array.from(text.normalize('NFKD').replace(/[\u0300-\u036f]/g, ''))
+        .map(char => {
+            const lower = char.toLowerCase();
+            const mapped = TRANSLITERATIONS[lower];
+            if (mapped === undefined) {
+                return /[\x00-\x7f]/.test(char) ? char : '';
+            }
+            return lower === char ? mapped : mapped.charAt(0).toUpperCase() + mapped.slice(1);
+        })
+        .join('');
+}
+
+/**
+ * Split a name into words at separators, camelCase humps and letter/digit boundaries
+ */
+function splitWords(name) {
+    return name
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/([A-Za-z])([0-9])|([0-9])([A-Za-z])/g, '$1$3 $2$4')
+        .split(/[\s\-_.]+/)
+        .filter(word => word.length > 0);
+}
+
+/**
+ * Cut every occurrence of a term out of a name, case-insensitively, leaving a space in its place
+ */
+function removeTerm(name, term) {
+    const lower = name.toLowerCase();
+    const parts = [];
+    let from = 0;
+    let at;
+    while ((at = lower.indexOf(term, from)) !== -1) {
+        parts.push(name.slice(from, at));
+        from = at + term.length;
+    }
+    return parts.concat(name.slice(from)).join(' ');
+}
+
+/**
+ * Built-in strategies: (context) => candidate names, lowercased afterwards unless case-sensitive
+ * context is { base, original, stem, words, year, blocked } where original is the name as typed, words are split
+ * from it before lowercasing, stem is the transliterated base when it has non-ASCII characters and blocked
+ * lists the terms that made the name unavailable
+ */
+const STRATEGIES = {
+    transliteration: ({ base, original }) => {
+        const ascii = transliterate(base);
+        const words = splitWords(transliterate(original));
+        return ascii && ascii !== base ? [ascii].concat(SEPARATORS.map(separator => words.join(separator))) : [];
+    },
+
+    // Two-word names are also offered in reverse order ("smith.john")
+    separators: ({ words }) => {
+        if (words.length < 2) {
+            return [];
+        }
+        const orders = words.length === 2 ? [words, words.slice().reverse()] : [words];
+        return orders.reduce((candidates, order) => candidates
+            .concat(order.join(''))
+            .concat(SEPARATORS.map(separator => order.join(separator))), []);
+    },
+
+    // Names blocked for a term they contain are offered without it ("adminteam" -> "team", "myteam")
+    remainder: ({ original, blocked }) => {
+        const words = splitWords(blocked.reduce(removeTerm, original));
+        const rest = words.join('');
+        if (blocked.length === 0 || rest.length < 3) {
+            return [];
+        }
+        return [rest]
+            .concat(SEPARATORS.map(separator => words.join(separator)))
+            .concat(SUFFIXES.map(suffix => rest + suffix))
+            .concat(PREFIXES.map(prefix => prefix + rest));
+    },
+
+    words: ({ stem }) => {
+        const candidates = [];
+        SUFFIXES.forEach(suffix => {
+            candidates.push(stem + suffix);
+            SEPARATORS.forEach(separator => candidates.push(stem + separator + suffix));
+        });
+        PREFIXES.forEach(prefix => {
+            candidates.push(prefix + stem);
+            candidates.push(`${prefix}_${stem}`);
+        });
+        return candidates;
+    },
+
+    years: ({ stem, year }) => {
+        const short = String(year).slice(-2);
+        return [stem + year, stem + short]
+            .concat(SEPARATORS.map(separator => stem + separator + year))
+            .concat(SEPARATORS.map(separator => stem + separator + short));
+    },
+
+    numbers: ({ stem }) => {
+        const candidates = [];
+        for (let i = 1; i <= 9; i++) {
+            candidates.push(stem + i);
+            candidates.push(`${stem}_${i}`);
+        }
+        return candidates;
+    }
+};
+
+const DEFAULT_STRATEGIES = ['transliteration', 'separators', 'remainder', 'words', 'years', 'numbers'];
+
+/**
+ * The base a name's variants are built on: the name itself, or its transliteration when non-ASCII
+ */
+function stemOf(username, options = {}) {
+    const base = options.caseSensitive ? username : username.toLowerCase();
+    return /[^\x00-\x7f]/.test(base) ? transliterate(base) || base : base;
+}
+
+/**
+ * Generate ranked candidates for a name
+ *
+ * Options:
+ * - strategies: strategy names or (context) => names functions (default: all built-in strategies)
+ * - year: year used by the years strategy (default: the current year)
+ * - caseSensitive: keep the original casing instead of lowercasing
+ * - blocked: terms that made the name unavailable, dropped by the remainder strategy
+ *
+ * Returns [{ username, strategy, distance }] ordered by distance, then strategy order
+ */
+function generateCandidates(username, options = {}) {
+    const base = options.caseSensitive ? username : username.toLowerCase();
+    const context = {
+        base,
+        original: username,
+        stem: stemOf(username, options),
+        words: splitWords(username),
+        year: options.year || new Date().getFullYear(),
+        blocked: (options.blocked || []).map(term => term.toLowerCase()).filter(term => term.length > 0)
+    };
+
+    const seen = new Set([base]);
+    const candidates = [];
+    (options.strategies || DEFAULT_STRATEGIES).forEach((strategy, order) => {
+        const generate = typeof strategy === 'function' ? strategy : STRATEGIES[strategy];
+        if (!generate) {
+            throw new Error(`Unknown suggestion strategy: ${strategy}`);
+        }
+        const name = typeof strategy === 'function' ? strategy.name || 'custom' : strategy;
+
+        generate(context).forEach(candidate => {
+            const value = options.caseSensitive ? candidate : candidate.toLowerCase();
+            if (value && !seen.has(value)) {
+                seen.add(value);
+                candidates.push({ username: value, strategy: name, distance: levenshtein(base, value), order, index: candidates.length });
+            }
+        });
+    });
+
+    return candidates
+        .sort((a, b) => a.distance - b.distance || a.order - b.order || a.index - b.index)
+        .map(({ username: name, strategy, distance }) => ({ username: name, strategy, distance }));
+}
+
+/**
+ * Numbered fallbacks used once the strategies run dry: base + 10, base + 11, ...
+ */
+function* fallbackCandidates(username, options = {}) {
+    const stem = stemOf(username, options);
+    for (let i = 10; i < 10000; i++) {
+        yield stem + i;
+    }
+}
+
+module.exports = {
+    STRATEGIES,
+    DEFAULT_STRATEGIES,
+    transliterate,
+    splitWords,
+    generateCandidates,
+    fallbackCandidates
+};
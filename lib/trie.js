@@ -0,0 +1,126 @@
+/**
+ * Prefix trie for indexed prefix and suffix queries
+ */
+
+class Trie {
+    constructor() {
+        this.root = { children: new Map(), terminal: false };
+        this.size = 0;
+    }
+
+    /**
+     * Add a word to the trie
+     */
+    add(word) {
+        let node = this.root;
+        for (const char of word) {
+            if (!node.children.has(char)) {
+                node.children.set(char, { children: new Map(), terminal: false });
+            }
+            node = node.children.get(char);
+        }
+        if (!node.terminal) {
+            node.terminal = true;
+            this.size++;
+        }
+    }
+
+    /**
+     * Remove a word from the trie, pruning empty branches
+     */
+    remove(word) {
+        const path = [this.root];
+        const chars = Array.from(word);
+
+        for (const char of chars) {
+            const next = path[path.length - 1].children.get(char);
+            if (!next) {
+                return false;
+            }
+            path.push(next);
+        }
+
+        const node = path[path.length - 1];
+        if (!node.terminal) {
+            return false;
+        }
+        node.terminal = false;
+        this.size--;
+
+        for (let i = chars.length; i > 0; i--) {
+            const current = path[i];
+            if (current.terminal || current.children.size > 0) {
+                break;
+            }
+            path[i - 1].children.delete(chars[i - 1]);
+        }
+        return true;
+    }
+
+    /**
+     * Check whether a word is in the trie
+     */
+    has(word) {
+        const node = this.find(word);
+        return node !== null && node.terminal;
+    }
+
+    /**
+     * Find the node reached by a prefix, or null
+     */
+    find(prefix) {
+        let node = this.root;
+        for (const char of prefix) {
+            node = node.children.get(char);
+            if (!node) {
+                return null;
+            }
+        }
+        return node;
+    }
+
+    /**
+     * Collect words starting with prefix in lexicographic order
+     * Supports { offset, limit } for pagination
+     */
+    collect(prefix, options = {}) {
+        const offset = options.offset || 0;
+        const limit = options.limit === undefined ? Infinity : options.limit;
+        const results = [];
+        const start = this.find(prefix);
+
+        if (!start || limit <= 0) {
+            return results;
+        }
+
+        let skipped = 0;
+        const stack = [[start, prefix]];
+
+        while (stack.length > 0) {
+            const [node, word] = stack.pop();
+
+            if (node.terminal) {
+                if (skipped < offset) {
+                    skipped++;
+                } else {
+                    results.push(word);
+                    if (results.length >= limit) {
+                        break;
+                    }
+                }
+            }
+
+            // Push in reverse so the smallest character is visited first
+            const chars = Array.from(node.children.keys()).sort().reverse();
+            for (const char of chars) {
+                stack.push([node.children.get(char), word + char]);
+            }
+        }
+
+        return results;
+    }
+}
+
+module.exports = {
+    Trie
+};
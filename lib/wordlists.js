@@ -0,0 +1,134 @@
+/**
+ * Bundled word lists kept separate from the reserved list
+ * Each list is matched exactly, after normalization and, with contains: true, anywhere inside a username;
+ * lists that leave contains unset follow the instance's own containment setting
+ * Substring matching is opt-in since short terms occur inside many ordinary names ("grape", "analyst")
+ */
+
+const { AhoCorasick } = require('./aho-corasick');
+
+const BUILTIN_LISTS = {
+    offensive: {
+        terms: [
+            'anal', 'anus', 'arse', 'arsehole', 'ass', 'asshole', 'bastard', 'bitch', 'bollocks',
+            'boner', 'bukkake', 'bullshit', 'clit', 'cock', 'coon', 'cum', 'cunt', 'dick', 'dildo',
+            'dyke', 'fag', 'faggot', 'fellatio', 'fuck', 'fucker', 'handjob', 'hitler', 'jizz',
+            'kike', 'motherfucker', 'nazi', 'nigga', 'nigger', 'nude', 'orgasm', 'penis', 'piss',
+            'porn', 'prick', 'pussy', 'rape', 'rapist', 'retard', 'scrotum', 'sex', 'shit', 'slut',
+            'spic', 'tits', 'twat', 'vagina', 'wank', 'wanker', 'whore'
+        ]
+    },
+    impersonation: {
+        terms: [
+            'admin', 'administrator', 'official', 'staff', 'moderator', 'mod', 'verified', 'support',
+            'helpdesk', 'security', 'trust', 'safety', 'team', 'employee', 'founder', 'ceo',
+            'system', 'sysadmin', 'root', 'owner', 'operator'
+        ]
+    }
+};
+
+/**
+ * Resolve constructor configuration for one list
+ * config may be true (bundled list), an array (replaces the terms) or
+ * { terms, extend, exclude, allow, contains, minLength, message }
+ */
+function resolveList(name, config, defaults) {
+    const builtin = BUILTIN_LISTS[name];
+    const options = Array.isArray(config) ? { terms: config } : (config === true ? {} : config);
+
+    if (!builtin && !options.terms) {
+        throw new Error(`Unknown word list: ${name}`);
+    }
+
+    const exclude = new Set((options.exclude || []).map(term => term.toLowerCase()));
+    const terms = (options.terms || builtin.terms).concat(options.extend || [])
+        .map(term => term.toLowerCase())
+        .filter(term => term.length > 0 && !exclude.has(term));
+
+    return {
+        name,
+        terms: new Set(terms),
+        allow: new Set((options.allow || []).map(username => username.toLowerCase())),
+        contains: options.contains === undefined ? defaults.contains === true : options.contains === true,
+        minLength: options.minLength || 4,
+        // Custom message template; bundled lists use the catalog's "list.<name>" message
+        message: options.message || null,
+        normalizedIndex: null,
+        containsIndex: null
+    };
+}
+
+/**
+ * Build the named lists enabled in the constructor
+ * defaults.contains applies to lists that do not set contains themselves
+ */
+function createWordLists(config = {}, defaults = {}) {
+    const lists = new Map();
+    Object.keys(config).forEach(name => {
+        if (config[name]) {
+            lists.set(name, resolveList(name, config[name], defaults));
+        }
+    });
+    return lists;
+}
+
+/**
+ * Find the first term of a list a username matches, or null
+ * Returns { list, term, strategy: 'exact' | 'normalized' | 'contains', position }
+ */
+function matchList(list, username, normalize) {
+    if (list.allow.has(username)) {
+        return null;
+    }
+
+    if (list.terms.has(username)) {
+        return { list: list.name, term: username, strategy: 'exact', position: 0 };
+    }
+
+    if (normalize) {
+        if (!list.normalizedIndex) {
+            list.normalizedIndex = new Map();
+            list.terms.forEach(term => {
+                const key = normalize(term);
+                if (key && !list.normalizedIndex.has(key)) {
+                    list.normalizedIndex.set(key, term);
+                }
+            });
+        }
+        const term = list.normalizedIndex.get(normalize(username));
+        if (term !== undefined) {
+            return { list: list.name, term, strategy: 'normalized', position: 0 };
+        }
+    }
+
+    if (list.contains) {
+        if (!list.containsIndex) {
+            list.containsIndex = new AhoCorasick(Array.from(list.terms).filter(term => term.length >= list.minLength));
+        }
+        // Fall back to the normalized form so "0ff1cial-help" is caught; positions then refer to it
+        const found = list.containsIndex.search(username)[0]
+            || (normalize ? list.containsIndex.search(normalize(username))[0] : undefined);
+        if (found) {
+            return { list: list.name, term: found.term, strategy: 'contains', position: found.position };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Add or remove terms of a list, dropping its derived indexes
+ */
+function updateList(list, add = [], remove = []) {
+    add.forEach(term => list.terms.add(term.toLowerCase()));
+    remove.forEach(term => list.terms.delete(term.toLowerCase()));
+    list.normalizedIndex = null;
+    list.containsIndex = null;
+}
+
+module.exports = {
+    BUILTIN_LISTS,
+    createWordLists,
+    matchList,
+    updateList
+};
@@ -6,17 +6,148 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const crypto = require('crypto');
 const EventEmitter = require('events');
+const { skeleton } = require('./lib/confusables');
+const { createNormalizer } = require('./lib/normalization');
+const { parsePattern, compilePattern, formatPattern, unescapeLiteral, escapeLiteral, globLiterals } = require('./lib/patterns');
+const { BKTree } = require('./lib/bk-tree');
+const { Trie } = require('./lib/trie');
+const { fetchUrl, verifyIntegrity } = require('./lib/http-fetch');
+const { StorageAdapter, MemoryStorage, FileStorage, runStorageContract } = require('./lib/storage');
+const { createServer } = require('./lib/server');
+const { createExpressMiddleware } = require('./lib/middleware');
+const { reserveRoutes } = require('./lib/routes');
+const { FileRouteScanner } = require('./lib/file-routes');
+const { AhoCorasick } = require('./lib/aho-corasick');
+const { createWordLists, matchList, updateList } = require('./lib/wordlists');
+const { MessageCatalog, interpolate } = require('./lib/messages');
+const { PRESETS, compileRules } = require('./lib/rules');
+const { INFRASTRUCTURE_LABELS, toAsciiLabel, checkLabel } = require('./lib/subdomain');
+const { MAILBOXES, normalizeLocalPart, checkLocalPart } = require('./lib/email');
+const { generateCandidates, fallbackCandidates } = require('./lib/suggestions');
+const { MemoryHoldStore, UsernameHolds } = require('./lib/holds');
+
+const MODES = ['username', 'subdomain', 'email'];
+
+/**
+ * SHA-256 checksum of a list of entries
+ */
+function checksum(entries) {
+    return crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex');
+}
+
+/**
+ * Whether a value is a reserved entry: a non-empty string, { username } or { pattern }
+ */
+function isEntry(entry) {
+    if (typeof entry === 'string') {
+        return entry.length > 0;
+    }
+    return Boolean(entry) && typeof entry === 'object'
+        && ((typeof entry.username === 'string' && entry.username.length > 0) || typeof entry.pattern === 'string');
+}
+
+/**
+ * Reverse a string by code point
+ */
+function reverse(text) {
+    return Array.from(text).reverse().join('');
+}
+
+// Bump when the cache layout changes; older caches are ignored
+const CACHE_VERSION = 3;
+
+// Candidates looked at per suggestion request before giving up
+const MAX_SUGGESTION_CANDIDATES = 1000;
+
+/**
+ * Iterate several candidate sources in order, skipping repeats and stopping after limit candidates
+ */
+function* uniqueCandidates(sources, limit = MAX_SUGGESTION_CANDIDATES) {
+    const seen = new Set();
+    for (const source of sources) {
+        for (const candidate of source) {
+            if (seen.size >= limit) {
+                return;
+            }
+            if (!seen.has(candidate)) {
+                seen.add(candidate);
+                yield candidate;
+            }
+        }
+    }
+}
+
+/**
+ * Terms that keep every variant of a name reserved: contained terms and the literal parts of a matching glob
+ */
+function blockedTerms(detail) {
+    if (detail.contains) {
+        return detail.contains.map(found => found.term);
+    }
+    const definition = detail.strategy === 'pattern' ? parsePattern(detail.match) : null;
+    return definition && definition.type === 'glob' ? globLiterals(definition.pattern) : [];
+}
+
+/**
+ * Read an isTaken result: booleans aligned with the batch, or the taken names themselves
+ */
+function takenNames(batch, result) {
+    const values = Array.from(result || []);
+    if (values.length > 0 && typeof values[0] === 'boolean') {
+        return new Set(batch.filter((name, index) => values[index]));
+    }
+    return new Set(values);
+}
 
 class ReservedUsernames extends EventEmitter {
     constructor(options = {}) {
         super();
         this.reservedList = new Set();
+        this.ready = false;
+        this.prefixIndex = new Trie();
+        this.suffixIndex = new Trie();
+        this.entrySources = new Map();
+        this.entryCategories = new Map();
+        this.patternEntries = new Map();
+        this.categoryPolicies = options.categoryPolicies || {};
         this.caseSensitive = options.caseSensitive || false;
         this.customReserved = options.customReserved || [];
         this.autoUpdate = options.autoUpdate || false;
+        this.confusables = options.confusables || false;
+        this.skeletonIndex = null;
+        this.normalizer = createNormalizer(options.normalization);
+        this.normalizedIndex = null;
+        this.maxEditDistance = options.maxEditDistance || 2;
+        this.fuzzyIndex = null;
+        // Entries blocked anywhere inside a username: true for all, or { entries, categories, minLength }
+        this.containment = options.contains
+            ? Object.assign({ entries: null, categories: null, minLength: 4 }, options.contains === true ? {} : options.contains)
+            : null;
+        this.containsIndex = null;
+        // Named word lists checked alongside reservedList, e.g. { offensive: true, impersonation: { extend: [...] } }
+        this.wordLists = createWordLists(options.wordLists, { contains: Boolean(this.containment) });
+        // Validation and middleware messages; options.locales registers custom locales
+        this.messages = new MessageCatalog({ locale: options.locale, locales: options.locales });
+        // Validation presets by name, extended with options.presets; compiled rule objects are cached
+        this.presets = Object.assign({}, PRESETS, options.presets);
+        this.compiledRules = new WeakMap();
+        
+        // 'username', 'subdomain' or 'email'; subdomain mode checks IDNs in punycode form and enforces
+        // DNS label syntax, email mode checks canonical local parts and enforces local-part syntax
+        this.mode = options.mode || 'username';
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Unknown mode: ${this.mode}`);
+        }
+        // { allowPunycode, allowIDN, infrastructure } for subdomain mode
+        this.subdomainOptions = Object.assign({ allowPunycode: false, allowIDN: true, infrastructure: true }, options.subdomain);
+        // { plusAddressing, ignoreDots, allowUnicode, mailboxes } for email mode
+        this.emailOptions = Object.assign({ plusAddressing: true, ignoreDots: true, allowUnicode: false, mailboxes: true }, options.email);
         this.cacheFile = options.cacheFile || path.join(__dirname, 'reserved-usernames-cache.json');
+        this.cacheTTL = options.cacheTTL !== undefined ? options.cacheTTL : 24 * 60 * 60 * 1000; // 24 hours
+        this.staleWhileRevalidate = options.staleWhileRevalidate !== false;
+        this.cacheState = null;
         
         // GitHub raw file URLs
         this.sources = {
@@ -25,6 +156,27 @@ class ReservedUsernames extends EventEmitter {
             csv: 'https://raw.githubusercontent.com/shouldbee/reserved-usernames/master/reserved-usernames.csv'
         };
         
+        // Upstream sources fetched by fetchLatestData: { name, url | file, format, parser }
+        this.upstreamSources = (options.sources || [{ name: 'remote', url: this.sources.json, format: 'json' }])
+            .map(source => Object.assign({ name: source.url || source.file }, source));
+        this.mergeStrategy = options.mergeStrategy || 'union';
+        
+        // { timeout, deadline, maxBytes, maxRedirects, retries, retryDelay, allowInsecureRedirects } for remote sources
+        this.fetchOptions = options.fetch || {};
+        // Conditional request validators and last good entries per upstream source, kept in the cache
+        this.upstreamState = {};
+        
+        // Shared storage for entries added through import() and remove()
+        this.storage = options.storage || null;
+        this.storageUnsubscribe = null;
+        this.storedUsernames = new Set();
+        this.pendingWrites = new Set();
+        
+        // Temporary holds during signup: { store, clock, ttl }, see lib/holds
+        this.holds = new UsernameHolds(options.holds);
+        this.holds.on('expired', hold => this.emit('holdExpired', hold));
+        this.holds.on('storeError', error => this.emit('storageError', error));
+        
         this.init();
     }
 
@@ -35,48 +187,115 @@ class ReservedUsernames extends EventEmitter {
         try {
             // Try to load from cache first
             await this.loadFromCache();
+            const stale = this.cacheState === 'stale';
             
-            // If auto-update is enabled, fetch latest data
-            if (this.autoUpdate) {
+            // If auto-update is enabled, fetch latest data (a stale cache is refreshed after ready instead)
+            if (this.autoUpdate && !stale) {
                 await this.fetchLatestData();
             }
             
-            // Add custom reserved usernames
+            // Add the bundled set of the current mode and custom reserved usernames
+            this.addModeReserved();
             this.addCustomReserved();
             
+            if (this.storage) {
+                await this.connectStorage();
+            }
+            await this.holds.connect();
+            
+            this.ready = true;
             this.emit('ready');
+            
+            if (this.autoUpdate && stale) {
+                this.revalidate();
+            }
         } catch (error) {
             this.emit('error', error);
         }
     }
 
+    /**
+     * Resolve once the list has loaded, rejecting after timeout ms if given
+     */
+    whenReady(timeout) {
+        if (this.ready) {
+            return Promise.resolve(this);
+        }
+        
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const onReady = () => {
+                clearTimeout(timer);
+                resolve(this);
+            };
+            
+            this.once('ready', onReady);
+            if (timeout !== undefined && timeout !== Infinity) {
+                timer = setTimeout(() => {
+                    this.removeListener('ready', onReady);
+                    reject(new Error(`Reserved usernames not ready after ${timeout}ms`));
+                }, timeout);
+            }
+        });
+    }
+
     /**
      * Load reserved usernames from local cache
+     * A cache older than cacheTTL is still served when staleWhileRevalidate is on
      */
     async loadFromCache() {
         try {
-            if (fs.existsSync(this.cacheFile)) {
-                const data = fs.readFileSync(this.cacheFile, 'utf8');
-                const cached = JSON.parse(data);
-                
-                // Check if cache is less than 24 hours old
-                const cacheAge = Date.now() - cached.timestamp;
-                const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-                
-                if (cacheAge < maxAge) {
-                    this.reservedList = new Set(cached.usernames);
-                    return true;
-                }
+            const data = await fs.promises.readFile(this.cacheFile, 'utf8');
+            const cached = JSON.parse(data);
+            
+            if (cached.version !== CACHE_VERSION) {
+                throw new Error(`Unsupported cache version: ${cached.version}`);
+            }
+            
+            // The checksum also covers the entries kept for 304 responses, which are reused unchecked
+            if (!Array.isArray(cached.entries) || cached.checksum !== checksum({ entries: cached.entries, upstream: cached.upstream || {} })) {
+                throw new Error('Cache checksum mismatch');
+            }
+            
+            // Validators stay useful even when the cached list itself is stale
+            this.upstreamState = cached.upstream || {};
+            
+            const cacheAge = Date.now() - cached.timestamp;
+            if (cacheAge < this.cacheTTL || this.staleWhileRevalidate) {
+                this.cacheState = cacheAge < this.cacheTTL ? 'fresh' : 'stale';
+                this.replaceReserved(this.parseEntries(cached.entries, 'array'), 'cache');
+                return true;
             }
         } catch (error) {
-            console.warn('Failed to load from cache:', error.message);
+            if (error.code !== 'ENOENT') {
+                console.warn('Failed to load from cache:', error.message);
+            }
         }
         
         // If cache loading fails, use fallback data
+        this.cacheState = 'missing';
         await this.loadFallbackData();
         return false;
     }
 
+    /**
+     * Refresh a stale cache in the background
+     */
+    revalidate() {
+        return this.fetchLatestData()
+            .then(summary => {
+                if (summary.applied.length > 0) {
+                    this.cacheState = 'fresh';
+                }
+                this.emit('revalidated', summary);
+                return summary;
+            })
+            .catch(error => {
+                console.warn('Failed to revalidate cache:', error.message);
+                this.emit('fetchError', error);
+            });
+    }
+
     /**
      * Load fallback data (embedded list)
      */
@@ -94,65 +313,172 @@ class ReservedUsernames extends EventEmitter {
             'backup', 'cache', 'tmp', 'temp', 'log', 'logs', 'error', 'errors'
         ];
         
-        this.reservedList = new Set(fallbackUsernames);
+        this.replaceReserved(fallbackUsernames, 'fallback');
     }
 
     /**
-     * Fetch latest data from GitHub
+     * Fetch latest data from all upstream sources in parallel
+     * Failed sources are reported via 'fetchError' while successful ones still apply.
+     * With the 'union' merge strategy the first source listing an entry keeps it; with 'override' the last one does.
      */
     async fetchLatestData() {
-        try {
-            const usernames = await this.fetchFromUrl(this.sources.json);
-            const parsedData = JSON.parse(usernames);
-            
-            this.reservedList = new Set(parsedData);
+        const results = await Promise.all(this.upstreamSources.map(source =>
+            this.fetchSource(source)
+                .then(entries => ({ source, entries }))
+                .catch(error => {
+                    error.source = source.name;
+                    console.warn(`Failed to fetch latest data from ${source.name}:`, error.message);
+                    this.emit('fetchError', error);
+                    return { source, error };
+                })
+        ));
+        
+        const fetched = results.filter(result => !result.error);
+        const summary = {
+            applied: fetched.map(result => result.source.name),
+            failed: results.filter(result => result.error).map(result => result.source.name)
+        };
+        
+        if (fetched.length === 0) {
+            return summary;
+        }
+        
+        const merged = this.applyUpstream(fetched);
+        
+        // Cache the data
+        await this.saveToCache(merged);
+        
+        this.emit('updated', merged.length);
+        return summary;
+    }
+
+    /**
+     * Fetch and parse a single upstream source
+     */
+    async fetchSource(source) {
+        let data;
+        let validators = null;
+        
+        if (source.file) {
+            data = await fs.promises.readFile(source.file, 'utf8');
+            if (source.integrity && !verifyIntegrity(data, source.integrity)) {
+                throw new Error(`Integrity check failed for ${source.file}`);
+            }
+        } else {
+            const state = this.upstreamState[source.name];
+            const conditional = state && state.entries
+                ? { etag: state.etag, lastModified: state.lastModified }
+                : {};
+            const response = await fetchUrl(source.url, Object.assign({}, this.fetchOptions, conditional, {
+                integrity: source.integrity
+            }));
             
-            // Cache the data
-            await this.saveToCache(parsedData);
+            // 304 Not Modified: reuse the entries from the last successful fetch
+            if (response.body === null) {
+                return state.entries;
+            }
             
-            this.emit('updated', parsedData.length);
-        } catch (error) {
-            console.warn('Failed to fetch latest data:', error.message);
-            this.emit('fetchError', error);
+            data = response.body;
+            validators = {
+                etag: response.headers.etag || null,
+                lastModified: response.headers['last-modified'] || null
+            };
+        }
+        
+        const format = source.format || path.extname(source.file || source.url).slice(1) || 'json';
+        const entries = source.parser ? source.parser(data) : this.parseEntries(data, format);
+        
+        if (!Array.isArray(entries)) {
+            throw new Error(`Invalid data from ${source.name}: expected a list of usernames`);
+        }
+        
+        // A malformed entry fails this source only, through fetchLatestData's per-source handling
+        const invalid = entries.findIndex(entry => !isEntry(entry));
+        if (invalid !== -1) {
+            throw new Error(`Invalid data from ${source.name}: entry ${invalid} is not a username, { username } or { pattern } object`);
+        }
+        
+        if (validators) {
+            this.upstreamState[source.name] = Object.assign(validators, { entries });
         }
+        
+        return entries;
     }
 
     /**
-     * Fetch data from URL
+     * Replace upstream entries with freshly fetched ones, keeping local entries and recording provenance
+     * Returns the merged upstream entries as { username, category } or { pattern, type, category } objects
      */
-    fetchFromUrl(url) {
-        return new Promise((resolve, reject) => {
-            https.get(url, (res) => {
-                let data = '';
-                
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
-                
-                res.on('end', () => {
-                    if (res.statusCode === 200) {
-                        resolve(data);
-                    } else {
-                        reject(new Error(`HTTP ${res.statusCode}`));
-                    }
-                });
-            }).on('error', reject);
+    applyUpstream(fetched) {
+        const upstreamNames = new Set(['fallback', 'cache'].concat(this.upstreamSources.map(source => source.name)));
+        const merged = new Map();
+        
+        fetched.forEach(({ source, entries }) => {
+            entries.forEach(entry => {
+                const text = typeof entry === 'string' ? entry : entry.username || entry.pattern;
+                const key = this.caseSensitive ? text : text.toLowerCase();
+                if (this.mergeStrategy === 'override' || !merged.has(key)) {
+                    merged.set(key, { entry, source: source.name });
+                }
+            });
+        });
+        
+        // Entries from customReserved, import() and other local sources survive the update
+        const preserved = this.getAll()
+            .filter(username => !upstreamNames.has(this.entrySources.get(username)))
+            .map(username => ({
+                entry: { username, category: this.getCategory(username) },
+                source: this.entrySources.get(username)
+            }));
+        
+        this.patternEntries.forEach((entry, key) => {
+            if (upstreamNames.has(entry.source)) {
+                this.patternEntries.delete(key);
+            }
+        });
+        
+        this.replaceReserved([], null);
+        merged.forEach(({ entry, source }) => this.addReserved([entry], source));
+        preserved.forEach(({ entry, source }) => this.addReserved([entry], source));
+        
+        return Array.from(merged.values()).map(({ entry }) => {
+            const { username, category, definition } = this.describeEntry(entry);
+            const described = definition ? { pattern: definition.pattern, type: definition.type } : { username: escapeLiteral(username) };
+            return category ? Object.assign(described, { category }) : described;
         });
     }
 
     /**
-     * Save data to cache
+     * Fetch data from URL
+     */
+    async fetchFromUrl(url, options = {}) {
+        const response = await fetchUrl(url, Object.assign({}, this.fetchOptions, options));
+        return response.body;
+    }
+
+    /**
+     * Save upstream entries to the cache, keeping their categories and pattern types
      */
-    async saveToCache(usernames) {
+    async saveToCache(entries) {
+        const list = Array.from(entries);
+        const tempFile = `${this.cacheFile}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        
         try {
             const cacheData = {
-                usernames: Array.from(usernames),
-                timestamp: Date.now()
+                version: CACHE_VERSION,
+                timestamp: Date.now(),
+                sources: this.upstreamSources.map(source => source.url || source.file),
+                checksum: checksum({ entries: list, upstream: this.upstreamState }),
+                entries: list,
+                upstream: this.upstreamState
             };
             
-            fs.writeFileSync(this.cacheFile, JSON.stringify(cacheData, null, 2));
+            // Write to a temp file and rename so readers never see a partial cache
+            await fs.promises.writeFile(tempFile, JSON.stringify(cacheData, null, 2));
+            await fs.promises.rename(tempFile, this.cacheFile);
         } catch (error) {
             console.warn('Failed to save cache:', error.message);
+            await fs.promises.unlink(tempFile).catch(() => {});
         }
     }
 
@@ -160,22 +486,578 @@ class ReservedUsernames extends EventEmitter {
      * Add custom reserved usernames
      */
     addCustomReserved() {
-        this.customReserved.forEach(username => {
-            const normalizedUsername = this.caseSensitive ? username : username.toLowerCase();
-            this.reservedList.add(normalizedUsername);
+        this.addReserved(this.customReserved, 'custom');
+    }
+
+    /**
+     * Add the reserved set bundled with the current mode; entries already reserved keep their source
+     */
+    addModeReserved() {
+        if (this.mode === 'subdomain' && this.subdomainOptions.infrastructure) {
+            this.addReserved(INFRASTRUCTURE_LABELS.filter(label => !this.reservedList.has(label)), 'infrastructure', 'infrastructure');
+        }
+        if (this.mode === 'email' && this.emailOptions.mailboxes) {
+            const mailboxes = MAILBOXES.filter(mailbox => !this.reservedList.has(this.describeEntry(mailbox).username));
+            this.addReserved(mailboxes, 'mailbox', 'mailbox');
+        }
+    }
+
+    /**
+     * Replace the reserved list, recording where the entries came from
+     */
+    replaceReserved(usernames, source) {
+        this.reservedList = new Set();
+        this.entrySources = new Map();
+        this.entryCategories = new Map();
+        this.prefixIndex = new Trie();
+        this.suffixIndex = new Trie();
+        this.addReserved(usernames, source);
+    }
+
+    /**
+     * Add usernames to the reserved list, recording where they came from
+     * Entries may be strings, { username, category } or { pattern, type, category } objects;
+     * globs ("admin*") and "/regex/" strings are stored as pattern entries, and a backslash keeps
+     * a character literal ("what\?"), see lib/patterns
+     */
+    addReserved(entries, source, defaultCategory = null) {
+        entries.forEach(entry => {
+            const { username, category, definition } = this.describeEntry(entry, defaultCategory);
+            
+            if (definition) {
+                this.addPattern(definition, source, category);
+                return;
+            }
+            
+            this.reservedList.add(username);
+            this.entrySources.set(username, source);
+            this.indexUsername(username);
+            if (category) {
+                this.entryCategories.set(username, category);
+            }
+        });
+        this.invalidateIndexes();
+    }
+
+    /**
+     * Resolve an entry to its list key (normalized username or pattern string), category and pattern definition
+     */
+    describeEntry(entry, defaultCategory = null) {
+        const text = typeof entry === 'string' ? entry : entry.username;
+        const category = (typeof entry === 'string' ? null : entry.category) || defaultCategory;
+        const definition = parsePattern(typeof entry === 'string' || entry.pattern ? entry : text);
+        
+        if (definition) {
+            return { username: formatPattern(definition), category, definition };
+        }
+        
+        // Subdomain and email modes store entries in the canonical form names are checked in
+        const literal = unescapeLiteral(text);
+        const username = this.caseSensitive ? literal : literal.toLowerCase();
+        return { username: this.mode === 'username' ? username : this.canonicalName(username) || username, category, definition: null };
+    }
+
+    /**
+     * String form of a described entry that parses back to it: patterns as written, literals escaped
+     */
+    entryText({ username, definition }) {
+        return definition ? username : escapeLiteral(username);
+    }
+
+    /**
+     * Remove usernames or patterns from the local list, returning how many were removed
+     */
+    removeReserved(usernames) {
+        let removed = 0;
+        usernames.forEach(username => {
+            if (this.patternEntries.delete(username)) {
+                removed++;
+                return;
+            }
+            if (!this.reservedList.delete(username)) {
+                return;
+            }
+            this.entrySources.delete(username);
+            this.entryCategories.delete(username);
+            this.prefixIndex.remove(username);
+            this.suffixIndex.remove(reverse(username));
+            removed++;
+        });
+        this.invalidateIndexes();
+        return removed;
+    }
+
+    /**
+     * Remove reserved usernames or patterns, including from shared storage
+     */
+    remove(usernames) {
+        const described = usernames.map(entry => this.describeEntry(entry));
+        const removed = this.removeReserved(described.map(entry => entry.username));
+        
+        if (this.storage) {
+            this.persist(this.storage.remove(described.map(entry => this.entryText(entry))));
+        }
+        
+        return removed;
+    }
+
+    /**
+     * Load shared entries from the storage adapter and follow its changes
+     */
+    async connectStorage() {
+        await this.storage.load();
+        this.applyStorageChange({ type: 'replace', entries: await this.storage.list() });
+        this.storageUnsubscribe = this.storage.subscribe(change => this.applyStorageChange(change));
+    }
+
+    /**
+     * Apply a change notification from the storage adapter
+     */
+    applyStorageChange(change) {
+        // Stored entries are in entryText form; the local list is keyed by describeEntry usernames
+        const key = text => this.describeEntry(text).username;
+        
+        if (change.type === 'replace') {
+            const kept = new Set(change.entries.map(entry => key(entry.username)));
+            this.removeReserved(Array.from(this.storedUsernames).filter(username => !kept.has(username)));
+            this.storedUsernames = new Set();
+        }
+        
+        if (change.type === 'add' || change.type === 'replace') {
+            change.entries.forEach(entry => {
+                this.addReserved([{ username: entry.username, category: entry.category }], entry.source || 'storage');
+                this.storedUsernames.add(key(entry.username));
+            });
+        }
+        
+        if (change.type === 'remove') {
+            const keys = change.usernames.map(key);
+            this.removeReserved(keys);
+            keys.forEach(username => this.storedUsernames.delete(username));
+        }
+        
+        this.emit('storageChange', change);
+    }
+
+    /**
+     * Report failures of background storage writes
+     */
+    persist(operation) {
+        const pending = operation
+            .catch(error => {
+                console.warn('Failed to update storage:', error.message);
+                this.emit('storageError', error);
+            })
+            .then(() => this.pendingWrites.delete(pending));
+        this.pendingWrites.add(pending);
+    }
+
+    /**
+     * Wait for pending storage writes to finish
+     */
+    async flush() {
+        await Promise.all(Array.from(this.pendingWrites));
+    }
+
+    /**
+     * Stop following storage changes
+     * The adapter itself is left open since other instances may share it
+     */
+    close() {
+        if (this.storageUnsubscribe) {
+            this.storageUnsubscribe();
+            this.storageUnsubscribe = null;
+        }
+        this.holds.close();
+    }
+
+    /**
+     * Add a username to the prefix and suffix tries
+     */
+    indexUsername(username) {
+        this.prefixIndex.add(username);
+        this.suffixIndex.add(reverse(username));
+    }
+
+    /**
+     * Compile and store a pattern entry
+     */
+    addPattern(definition, source, category = null) {
+        const key = formatPattern(definition);
+        this.patternEntries.set(key, {
+            pattern: definition.pattern,
+            type: definition.type,
+            regex: compilePattern(definition, this.caseSensitive),
+            source,
+            category
         });
     }
 
+    /**
+     * Find the first pattern entry matching a username, or null
+     */
+    findPattern(username) {
+        if (!username || typeof username !== 'string') {
+            return null;
+        }
+        
+        for (const [key, entry] of this.patternEntries) {
+            if (entry.regex.test(username)) {
+                return key;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the category of a reserved username or pattern, or null
+     */
+    getCategory(username) {
+        if (this.patternEntries.has(username)) {
+            return this.patternEntries.get(username).category;
+        }
+        return this.entryCategories.get(username) || null;
+    }
+
+    /**
+     * Get the validation action for a category: 'block', 'review' or 'warn'
+     */
+    getCategoryPolicy(category) {
+        return (category && this.categoryPolicies[category]) || this.categoryPolicies.default || 'block';
+    }
+
+    /**
+     * Drop lookup indexes derived from reservedList so they are rebuilt on next use
+     */
+    invalidateIndexes() {
+        this.skeletonIndex = null;
+        this.normalizedIndex = null;
+        this.fuzzyIndex = null;
+        this.containsIndex = null;
+    }
+
     /**
      * Check if a username is reserved
+     * Pass { ownerId } so the owner's own hold does not count
+     */
+    isReserved(username, options = {}) {
+        return this.checkDetailed(username, options).isReserved;
+    }
+
+    /**
+     * Check a username and explain why it is reserved
+     * Subdomain and email modes check the canonical form (punycode label, bare local part) and then the name as typed
+     * Names held by someone other than options.ownerId are reserved with strategy 'held' until the hold expires
+     */
+    checkDetailed(username, options = {}) {
+        let result;
+        if (this.mode === 'username' || !username || typeof username !== 'string') {
+            result = this.matchName(username);
+        } else {
+            const canonical = this.canonicalName(username);
+            result = this.matchName(canonical || username);
+            if (!result.isReserved && canonical && canonical !== username.toLowerCase()) {
+                const typed = this.matchName(username);
+                if (typed.isReserved) {
+                    result = typed;
+                }
+            }
+            result.username = username;
+            result[this.mode === 'subdomain' ? 'label' : 'localPart'] = canonical;
+        }
+        
+        const hold = result.isReserved ? null : this.findHold(username, options.ownerId);
+        if (hold) {
+            Object.assign(result, {
+                isReserved: true,
+                match: hold.username,
+                source: 'hold',
+                strategy: 'held',
+                heldUntil: hold.expiresAt
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Hold a name while its owner finishes signing up
+     * Resolves to { username, ownerId, createdAt, expiresAt }, or null when the name is reserved or held by someone else
      */
-    isReserved(username) {
+    async hold(username, ownerId, ttl) {
+        const key = this.holdKey(username);
+        if (this.isReserved(username, { ownerId })) {
+            return null;
+        }
+        return this.holds.hold(key, ownerId, ttl);
+    }
+
+    /**
+     * Release the owner's hold on a name; resolves to whether there was one
+     */
+    async release(username, ownerId) {
+        return this.holds.release(this.holdKey(username), ownerId);
+    }
+
+    /**
+     * Give the owner's hold ttl more ms (default: the holds' ttl); resolves to the hold, or null if it is gone
+     */
+    async extend(username, ownerId, ttl) {
+        return this.holds.extend(this.holdKey(username), ownerId, ttl);
+    }
+
+    /**
+     * Whether a name can be taken by ownerId: not reserved and not held by anyone else
+     */
+    isAvailable(username, ownerId = null) {
+        return !this.isReserved(username, { ownerId });
+    }
+
+    /**
+     * Get the unexpired hold on a name, or null
+     */
+    getHold(username) {
+        return username && typeof username === 'string' ? this.holds.get(this.holdKey(username)) : null;
+    }
+
+    /**
+     * Find a hold on a name by someone other than ownerId
+     */
+    findHold(username, ownerId) {
+        const hold = this.getHold(username);
+        return hold && hold.ownerId !== ownerId ? hold : null;
+    }
+
+    /**
+     * Key holds are stored under: the canonical name, lowercased unless case-sensitive
+     */
+    holdKey(username) {
+        if (!username || typeof username !== 'string') {
+            throw new Error('Username must be a non-empty string');
+        }
+        const key = this.canonicalName(username) || username;
+        return this.caseSensitive ? key : key.toLowerCase();
+    }
+
+    /**
+     * Canonical form of a name in the current mode, or null when it has none
+     */
+    canonicalName(username) {
+        if (this.mode === 'subdomain') {
+            return toAsciiLabel(username);
+        }
+        if (this.mode === 'email') {
+            return normalizeLocalPart(username, this.emailOptions);
+        }
+        return username;
+    }
+
+    /**
+     * Match a name against the reserved list and word lists
+     */
+    matchName(username) {
+        const result = {
+            username,
+            isReserved: false,
+            match: null,
+            source: null,
+            strategy: null,
+            category: null,
+            normalized: null
+        };
+        
+        if (!username || typeof username !== 'string') {
+            return result;
+        }
+        
+        const checkUsername = this.caseSensitive ? username : username.toLowerCase();
+        result.normalized = this.normalizeUsername(username);
+        
+        let match = null;
+        if (this.reservedList.has(checkUsername)) {
+            match = checkUsername;
+            result.strategy = 'exact';
+        } else if ((match = this.findPattern(checkUsername)) !== null) {
+            result.strategy = 'pattern';
+        } else if (this.normalizer && (match = this.findNormalized(username)) !== null) {
+            result.strategy = 'normalized';
+        } else if (this.confusables && (match = this.findConfusable(username)) !== null) {
+            result.strategy = 'confusable';
+        } else if (this.containment) {
+            const contained = this.findContained(username);
+            if (contained.length > 0) {
+                match = contained[0].term;
+                result.strategy = 'contains';
+                result.contains = contained;
+            }
+        }
+        
+        if (match !== null) {
+            result.isReserved = true;
+            result.match = match;
+            result.source = result.strategy === 'pattern'
+                ? this.patternEntries.get(match).source
+                : this.entrySources.get(match) || null;
+            result.category = this.getCategory(match);
+        }
+        
+        if (match === null && this.wordLists.size > 0) {
+            const listed = this.findInWordLists(username)[0];
+            if (listed) {
+                Object.assign(result, {
+                    isReserved: true,
+                    match: listed.term,
+                    source: 'list',
+                    strategy: listed.strategy,
+                    category: listed.list,
+                    list: listed.list
+                });
+                if (listed.strategy === 'contains') {
+                    result.contains = [{ term: listed.term, position: listed.position, category: listed.list }];
+                }
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Match a username against every enabled word list
+     * Returns one { list, term, strategy, position } per list that matched
+     */
+    findInWordLists(username) {
+        if (!username || typeof username !== 'string') {
+            return [];
+        }
+        
+        const checkUsername = username.toLowerCase();
+        const normalize = this.normalizer ? value => this.normalizer(value.toLowerCase()) : null;
+        return Array.from(this.wordLists.values())
+            .map(list => matchList(list, checkUsername, normalize))
+            .filter(Boolean);
+    }
+
+    /**
+     * Add or remove terms of an enabled word list
+     */
+    updateWordList(name, changes = {}) {
+        const list = this.wordLists.get(name);
+        if (!list) {
+            throw new Error(`Word list not enabled: ${name}`);
+        }
+        updateList(list, changes.add, changes.remove);
+    }
+
+    /**
+     * Apply the normalization pipeline to a username
+     */
+    normalizeUsername(username) {
+        const checkUsername = this.caseSensitive ? username : username.toLowerCase();
+        return this.normalizer ? this.normalizer(checkUsername) : checkUsername;
+    }
+
+    /**
+     * Find the reserved username a normalized variant collapses onto, or null
+     */
+    findNormalized(username) {
+        if (!this.normalizer || !username || typeof username !== 'string') {
+            return null;
+        }
+        
+        if (!this.normalizedIndex) {
+            this.normalizedIndex = new Map();
+            this.reservedList.forEach(reserved => {
+                const key = this.normalizeUsername(reserved);
+                if (key && !this.normalizedIndex.has(key)) {
+                    this.normalizedIndex.set(key, reserved);
+                }
+            });
+        }
+        
+        const normalized = this.normalizeUsername(username);
+        const match = normalized ? this.normalizedIndex.get(normalized) : undefined;
+        return match !== undefined ? match : null;
+    }
+
+    /**
+     * Get the confusable skeleton of a username
+     */
+    getSkeleton(username) {
+        const fold = value => this.caseSensitive ? value : value.toLowerCase();
+        return fold(skeleton(fold(username)));
+    }
+
+    /**
+     * Find the reserved username imitated by a homoglyph variant, or null
+     */
+    findConfusable(username) {
+        if (!username || typeof username !== 'string') {
+            return null;
+        }
+        
+        if (!this.skeletonIndex) {
+            this.skeletonIndex = new Map();
+            this.reservedList.forEach(reserved => {
+                const key = this.getSkeleton(reserved);
+                if (!this.skeletonIndex.has(key)) {
+                    this.skeletonIndex.set(key, reserved);
+                }
+            });
+        }
+        
+        const checkUsername = this.caseSensitive ? username : username.toLowerCase();
+        const match = this.skeletonIndex.get(this.getSkeleton(username));
+        return match !== undefined && match !== checkUsername ? match : null;
+    }
+
+    /**
+     * Find reserved terms that appear inside a username, ordered by position
+     * Only entries selected by the contains option and at least minLength long are searched
+     */
+    findContained(username) {
+        if (!this.containment || !username || typeof username !== 'string') {
+            return [];
+        }
+        
+        if (!this.containsIndex) {
+            const { entries, categories, minLength } = this.containment;
+            const selected = entries ? new Set(entries.map(entry => this.describeEntry(entry).username)) : null;
+            
+            this.containsIndex = new AhoCorasick();
+            this.reservedList.forEach(reserved => {
+                const chosen = (!selected && !categories)
+                    || (selected && selected.has(reserved))
+                    || (categories && categories.includes(this.getCategory(reserved)));
+                if (chosen && reserved.length >= minLength) {
+                    this.containsIndex.add(reserved);
+                }
+            });
+        }
+        
+        const checkUsername = this.caseSensitive ? username : username.toLowerCase();
+        return this.containsIndex.search(checkUsername).map(found => Object.assign(found, {
+            category: this.getCategory(found.term)
+        }));
+    }
+
+    /**
+     * Find reserved usernames within an edit distance of a username, closest first
+     * The distance allowed shrinks for short names: none up to 3 characters, 1 at 4 and up to maxDistance from 5,
+     * so "bob" does not match "blog" and "jane" does not match "panel"
+     */
+    findSimilar(username, maxDistance = this.maxEditDistance) {
         if (!username || typeof username !== 'string') {
-            return false;
+            return [];
+        }
+        
+        if (!this.fuzzyIndex) {
+            this.fuzzyIndex = new BKTree();
+            this.reservedList.forEach(reserved => this.fuzzyIndex.add(reserved));
         }
         
         const checkUsername = this.caseSensitive ? username : username.toLowerCase();
-        return this.reservedList.has(checkUsername);
+        return this.fuzzyIndex.search(checkUsername, maxDistance)
+            .filter(result => result.distance <= Math.min(result.word.length, checkUsername.length) - 3)
+            .map(result => ({ username: result.word, distance: result.distance }));
     }
 
     /**
@@ -186,54 +1068,127 @@ class ReservedUsernames extends EventEmitter {
             throw new Error('Input must be an array');
         }
         
-        return usernames.map(username => ({
-            username,
-            isReserved: this.isReserved(username)
-        }));
+        return usernames.map(username => {
+            const detail = this.checkDetailed(username);
+            const result = {
+                username,
+                isReserved: detail.isReserved
+            };
+            
+            if (detail.strategy === 'confusable') {
+                result.imitates = detail.match;
+            }
+            
+            if (detail.strategy === 'contains') {
+                result.contains = detail.contains.map(found => found.term);
+            }
+            
+            return result;
+        });
     }
 
     /**
-     * Get all reserved usernames
+     * Get all reserved usernames, optionally only those in a category
      */
-    getAll() {
-        return Array.from(this.reservedList);
+    getAll(options = {}) {
+        const all = Array.from(this.reservedList);
+        
+        if (options.category === undefined) {
+            return all;
+        }
+        
+        return all.filter(username => this.getCategory(username) === options.category);
+    }
+
+    /**
+     * Get pattern entries in their string form, optionally only those in a category
+     */
+    getPatterns(options = {}) {
+        const patterns = Array.from(this.patternEntries.keys());
+        
+        if (options.category === undefined) {
+            return patterns;
+        }
+        
+        return patterns.filter(pattern => this.getCategory(pattern) === options.category);
+    }
+
+    /**
+     * Group reserved usernames by category
+     */
+    getByCategory() {
+        const grouped = {};
+        this.reservedList.forEach(username => {
+            const category = this.getCategory(username) || 'uncategorized';
+            if (!grouped[category]) {
+                grouped[category] = [];
+            }
+            grouped[category].push(username);
+        });
+        return grouped;
     }
 
     /**
      * Get reserved usernames by pattern
      */
-    getByPattern(pattern) {
-        const regex = new RegExp(pattern, this.caseSensitive ? 'g' : 'gi');
-        return this.getAll().filter(username => regex.test(username));
+    getByPattern(pattern, options = {}) {
+        const regex = new RegExp(pattern, this.caseSensitive ? '' : 'i');
+        const offset = options.offset || 0;
+        const limit = options.limit === undefined ? Infinity : options.limit;
+        const results = [];
+        let skipped = 0;
+        
+        for (const username of this.reservedList) {
+            if (results.length >= limit) break;
+            if (!regex.test(username)) continue;
+            
+            if (skipped < offset) {
+                skipped++;
+            } else {
+                results.push(username);
+            }
+        }
+        
+        return results;
     }
 
     /**
      * Get reserved usernames starting with prefix
+     * Supports { offset, limit } for pagination
      */
-    getByPrefix(prefix) {
+    getByPrefix(prefix, options = {}) {
         const searchPrefix = this.caseSensitive ? prefix : prefix.toLowerCase();
-        return this.getAll().filter(username => username.startsWith(searchPrefix));
+        return this.prefixIndex.collect(searchPrefix, options);
     }
 
     /**
      * Get reserved usernames ending with suffix
+     * Supports { offset, limit } for pagination
      */
-    getBySuffix(suffix) {
+    getBySuffix(suffix, options = {}) {
         const searchSuffix = this.caseSensitive ? suffix : suffix.toLowerCase();
-        return this.getAll().filter(username => username.endsWith(searchSuffix));
+        return this.suffixIndex.collect(reverse(searchSuffix), options).map(reverse);
     }
 
     /**
      * Get statistics
      */
-    getStats() {
-        const all = this.getAll();
+    getStats(options = {}) {
+        const all = this.getAll(options);
+        const byCategory = {};
+        all.forEach(username => {
+            const category = this.getCategory(username) || 'uncategorized';
+            byCategory[category] = (byCategory[category] || 0) + 1;
+        });
+        
         return {
             total: all.length,
             shortest: Math.min(...all.map(u => u.length)),
             longest: Math.max(...all.map(u => u.length)),
             average: Math.round(all.reduce((sum, u) => sum + u.length, 0) / all.length),
-            byLength: this.groupByLength(all)
+            byLength: this.groupByLength(all),
+            byCategory,
+            patterns: this.getPatterns(options).length
         };
     }
 
@@ -256,87 +1211,260 @@ class ReservedUsernames extends EventEmitter {
      * Suggest alternative usernames
      */
     suggestAlternatives(username, count = 5) {
-        if (!this.isReserved(username)) {
+        const detail = this.checkDetailed(username);
+        if (!detail.isReserved) {
             return [username]; // Not reserved, return as is
         }
         
         const suggestions = [];
-        const base = username.toLowerCase();
+        const options = { caseSensitive: this.caseSensitive, blocked: blockedTerms(detail) };
+        const candidates = uniqueCandidates([
+            generateCandidates(username, options).map(candidate => candidate.username),
+            fallbackCandidates(username, options)
+        ]);
         
-        // Add numbers
-        for (let i = 1; i <= count; i++) {
-            const suggestion = base + i;
+        for (const suggestion of candidates) {
+            if (suggestions.length >= count) {
+                break;
+            }
             if (!this.isReserved(suggestion)) {
                 suggestions.push(suggestion);
             }
         }
         
-        // Add common suffixes
-        const suffixes = ['user', 'profile', 'account', 'real', 'official', 'app'];
-        for (const suffix of suffixes) {
-            if (suggestions.length >= count) break;
-            const suggestion = base + suffix;
-            if (!this.isReserved(suggestion)) {
-                suggestions.push(suggestion);
+        return suggestions;
+    }
+
+    /**
+     * Suggest available names, closest to the original first
+     * Resolves with exactly count names unless every candidate is unavailable
+     *
+     * Options:
+     * - count: number of names (default 5)
+     * - isTaken(names): async check against your own users, called in batches; resolves to booleans
+     *   aligned with names, or to the names that are taken
+     * - batchSize: names per isTaken call (default twice the count, at least 10)
+     * - rules: validation rules (object, preset name or compiled) every suggestion must pass
+     * - strategies, year: candidate generation, see lib/suggestions
+     * - includeOriginal: suggest the original first when it is available (default true)
+     * - ownerId: owner whose own holds still count as available
+     * - maxCandidates: candidates to look at before giving up with fewer names (default 1000)
+     */
+    async suggest(username, options = {}) {
+        const count = options.count === undefined ? 5 : options.count;
+        const batchSize = options.batchSize || Math.max(count * 2, 10);
+        const compiled = options.rules ? this.compileRules(options.rules) : null;
+        const generation = {
+            caseSensitive: this.caseSensitive,
+            strategies: options.strategies,
+            year: options.year,
+            blocked: blockedTerms(this.checkDetailed(username, { ownerId: options.ownerId }))
+        };
+        
+        const usable = name => {
+            if (!compiled) {
+                return !this.isReserved(name, { ownerId: options.ownerId });
             }
-        }
+            const validation = this.validateUsername(name, compiled, { ownerId: options.ownerId });
+            return validation.isValid && !validation.requiresApproval;
+        };
         
-        // Add prefixes
-        const prefixes = ['my', 'the', 'real', 'official', 'user'];
-        for (const prefix of prefixes) {
-            if (suggestions.length >= count) break;
-            const suggestion = prefix + base;
-            if (!this.isReserved(suggestion)) {
-                suggestions.push(suggestion);
+        const original = this.caseSensitive ? username : username.toLowerCase();
+        const candidates = uniqueCandidates([
+            options.includeOriginal === false ? [] : [original],
+            generateCandidates(username, generation).map(candidate => candidate.username),
+            fallbackCandidates(username, generation)
+        ], options.maxCandidates || MAX_SUGGESTION_CANDIDATES);
+        
+        const suggestions = [];
+        let exhausted = false;
+        while (suggestions.length < count && !exhausted) {
+            const batch = [];
+            while (batch.length < batchSize) {
+                const next = candidates.next();
+                if (next.done) {
+                    exhausted = true;
+                    break;
+                }
+                if (usable(next.value)) {
+                    batch.push(next.value);
+                }
+            }
+            
+            if (batch.length === 0) {
+                break;
             }
+            
+            const taken = options.isTaken ? takenNames(batch, await options.isTaken(batch)) : new Set();
+            batch.filter(name => !taken.has(name)).slice(0, count - suggestions.length)
+                .forEach(name => suggestions.push(name));
         }
         
-        return suggestions.slice(0, count);
+        return suggestions;
+    }
+
+    /**
+     * Register a custom locale or override messages of a built-in one
+     */
+    registerLocale(locale, messages) {
+        this.messages.register(locale, messages);
+        return this;
+    }
+
+    /**
+     * Format a catalog message in a locale (a code, list of codes or Accept-Language header)
+     */
+    formatMessage(key, params = {}, locale = null) {
+        return this.messages.format(key, params, locale);
+    }
+
+    /**
+     * Validate a rule object or preset name and compile it into a reusable validator
+     * Throws on unknown rules, invalid values and unknown presets
+     */
+    compileRules(rules = {}) {
+        if (typeof rules !== 'object' || rules === null) {
+            return compileRules(rules, this.presets);
+        }
+        if (!this.compiledRules.has(rules)) {
+            this.compiledRules.set(rules, compileRules(rules, this.presets));
+        }
+        return this.compiledRules.get(rules);
+    }
+
+    /**
+     * Create a validator function with compiled rules: (username, options) => validation
+     */
+    createValidator(rules = {}) {
+        const compiled = this.compileRules(rules);
+        return (username, options = {}) => this.validateUsername(username, compiled, options);
     }
 
     /**
      * Validate username with custom rules
+     * Rules may be a rule object, a preset name ('github', 'social', 'slug') or compiled rules
+     * Every failure is also reported in issues as { code, severity, params, message } with codes
+     * RESERVED, CONFUSABLE, CONTAINS_RESERVED, WORD_LIST, SIMILAR, TOO_SHORT, TOO_LONG,
+     * INVALID_CHARS, INVALID_START, INVALID_END, CONSECUTIVE_SEPARATORS, DIGITS_ONLY and FORBIDDEN_PATTERN,
+     * plus INVALID_IDN, LABEL_TOO_LONG, INVALID_LABEL_CHARS, LABEL_HYPHEN and RESERVED_LABEL_PREFIX in subdomain mode
+     * and LOCAL_PART_TOO_LONG, INVALID_LOCAL_CHARS, LOCAL_PART_DOTS and PLUS_ADDRESS in email mode,
+     * and HELD for names another signup holds
+     *
+     * Options:
+     * - locale: language of the messages
+     * - abortEarly: stop at the first error instead of collecting them all
+     * - ownerId: owner whose own hold on the name is ignored
      */
-    validateUsername(username, rules = {}) {
+    validateUsername(username, rules = {}, options = {}) {
+        const t = (key, params) => this.formatMessage(key, params, options.locale);
+        const compiled = this.compileRules(rules);
         const validation = {
             username,
             isValid: true,
-            errors: []
+            errors: [],
+            warnings: [],
+            issues: []
         };
         
-        // Check if reserved
-        if (this.isReserved(username)) {
-            validation.isValid = false;
-            validation.errors.push('Username is reserved');
-        }
+        // 'block' actions are errors; 'review' and 'warn' are warnings, 'review' also asks for approval
+        const report = (code, message, params = {}, action = 'block') => {
+            const severity = action === 'block' ? 'error' : 'warning';
+            validation.issues.push({ code, severity, params, message });
+            if (severity === 'error') {
+                validation.isValid = false;
+                validation.errors.push(message);
+            } else {
+                validation.warnings.push(message);
+                if (action === 'review') {
+                    validation.requiresApproval = true;
+                }
+            }
+            return options.abortEarly === true && severity === 'error';
+        };
         
-        // Check length
-        if (rules.minLength && username.length < rules.minLength) {
-            validation.isValid = false;
-            validation.errors.push(`Username must be at least ${rules.minLength} characters`);
+        // Check if reserved, applying the policy of the matched entry's category
+        const detail = this.checkDetailed(username, { ownerId: options.ownerId });
+        if (detail.isReserved) {
+            // Holds always block, whatever the default category policy
+            const action = detail.strategy === 'held' ? 'block' : this.getCategoryPolicy(detail.category);
+            
+            validation.reason = {
+                match: detail.match,
+                source: detail.source,
+                strategy: detail.strategy,
+                category: detail.category,
+                action,
+                normalized: detail.normalized
+            };
+            
+            if (detail.strategy === 'held') {
+                validation.reason.heldUntil = detail.heldUntil;
+                if (report('HELD', t('held'), { match: detail.match, heldUntil: detail.heldUntil }, action)) {
+                    return validation;
+                }
+            } else if (detail.strategy === 'confusable') {
+                validation.imitates = detail.match;
+                if (report('CONFUSABLE', t('imitates', { match: detail.match }), { match: detail.match, category: detail.category }, action)) {
+                    return validation;
+                }
+            } else if (detail.strategy === 'contains' && !detail.list) {
+                // Every contained term is reported with its position under its own category's policy
+                validation.contains = detail.contains;
+                for (const found of detail.contains) {
+                    const params = { term: found.term, position: found.position, category: found.category };
+                    if (report('CONTAINS_RESERVED', t('contains', params), params, this.getCategoryPolicy(found.category))) {
+                        return validation;
+                    }
+                }
+            } else if (!detail.list) {
+                const params = { match: detail.match, strategy: detail.strategy, category: detail.category, source: detail.source };
+                if (report('RESERVED', t('reserved'), params, action)) {
+                    return validation;
+                }
+            }
         }
         
-        if (rules.maxLength && username.length > rules.maxLength) {
-            validation.isValid = false;
-            validation.errors.push(`Username must be at most ${rules.maxLength} characters`);
+        // Each enabled word list that matches gets its own error, under the policy named after the list,
+        // unless the reserved match above already reported the same term
+        const listed = this.findInWordLists(username);
+        const reported = new Set(detail.isReserved && !detail.list
+            ? [detail.match].concat((detail.contains || []).map(found => found.term)).map(term => String(term).toLowerCase())
+            : []);
+        if (listed.length > 0) {
+            validation.lists = listed;
+            for (const found of listed.filter(found => !reported.has(found.term))) {
+                const custom = this.wordLists.get(found.list).message;
+                const params = { list: found.list, term: found.term, strategy: found.strategy, position: found.position };
+                const key = this.messages.has(`list.${found.list}`) ? `list.${found.list}` : 'list';
+                if (report('WORD_LIST', custom ? interpolate(custom, params) : t(key, params), params, this.getCategoryPolicy(found.list))) {
+                    return validation;
+                }
+            }
         }
         
-        // Check allowed characters
-        if (rules.allowedChars) {
-            const regex = new RegExp(`^[${rules.allowedChars}]+$`);
-            if (!regex.test(username)) {
-                validation.isValid = false;
-                validation.errors.push('Username contains invalid characters');
+        // Flag near misses of reserved names for review
+        if (compiled.similarity && !detail.isReserved) {
+            const maxDistance = typeof compiled.similarity === 'number' ? compiled.similarity : this.maxEditDistance;
+            const similar = this.findSimilar(username, maxDistance);
+            
+            if (similar.length > 0) {
+                validation.similar = similar;
+                report('SIMILAR', t('similar', { match: similar[0].username }), { match: similar[0].username, distance: similar[0].distance }, 'review');
             }
         }
         
-        // Check forbidden patterns
-        if (rules.forbiddenPatterns) {
-            for (const pattern of rules.forbiddenPatterns) {
-                if (new RegExp(pattern, 'i').test(username)) {
-                    validation.isValid = false;
-                    validation.errors.push(`Username matches forbidden pattern: ${pattern}`);
-                }
+        // Label or local-part syntax in subdomain and email modes, then length, character and pattern rules;
+        // label and local-part checks need a string, and check() reports anything else as INVALID_CHARS
+        let ruleIssues = compiled.check(username);
+        const mode = typeof username === 'string' ? this.mode : null;
+        if (mode === 'subdomain') {
+            ruleIssues = checkLabel(username, this.subdomainOptions).concat(ruleIssues);
+        } else if (mode === 'email') {
+            ruleIssues = checkLocalPart(username, this.emailOptions).concat(ruleIssues);
+        }
+        for (const issue of ruleIssues) {
+            if (report(issue.code, t(issue.key, issue.params), issue.params)) {
+                return validation;
             }
         }
         
@@ -345,22 +1473,41 @@ class ReservedUsernames extends EventEmitter {
 
     /**
      * Export data in different formats
+     * Pass { category } to export a single category, { withCategories: true } to include them
      */
-    export(format = 'json') {
-        const data = this.getAll();
+    export(format = 'json', options = {}) {
+        // Literals are escaped so exports import back without turning into patterns
+        const data = this.getAll(options).map(username => escapeLiteral(username));
+        const patterns = this.getPatterns(options);
+        const withCategories = options.withCategories || false;
+        const entries = list => list.map(username => ({
+            username,
+            category: this.getCategory(this.describeEntry(username).username)
+        }));
         
         switch (format.toLowerCase()) {
             case 'json':
-                return JSON.stringify(data, null, 2);
+                if (patterns.length > 0) {
+                    return JSON.stringify({
+                        usernames: withCategories ? entries(data) : data,
+                        patterns: withCategories ? entries(patterns) : patterns
+                    }, null, 2);
+                }
+                return JSON.stringify(withCategories ? entries(data) : data, null, 2);
             
             case 'csv':
-                return 'username\n' + data.join('\n');
+                if (withCategories) {
+                    return 'username,category\n' + entries(data.concat(patterns))
+                        .map(entry => `${entry.username},${entry.category || ''}`)
+                        .join('\n');
+                }
+                return 'username\n' + data.concat(patterns).join('\n');
             
             case 'txt':
-                return data.join('\n');
+                return data.concat(patterns).join('\n');
             
             case 'array':
-                return data;
+                return withCategories ? entries(data.concat(patterns)) : data.concat(patterns);
             
             default:
                 throw new Error(`Unsupported format: ${format}`);
@@ -369,21 +1516,59 @@ class ReservedUsernames extends EventEmitter {
 
     /**
      * Import custom reserved usernames
+     * Entries may be strings or { username, category } objects; pass { category } to tag them all
+     * and { source } to record a provenance other than 'import'
      */
-    import(data, format = 'array') {
+    import(data, format = 'array', options = {}) {
+        const usernames = this.parseEntries(data, format);
+        const source = options.source || 'import';
+        
+        // Add to reserved list
+        this.addReserved(usernames, source, options.category || null);
+        
+        if (this.storage) {
+            this.persist(this.storage.add(usernames.map(entry => {
+                const described = this.describeEntry(entry, options.category || null);
+                return { username: this.entryText(described), category: described.category, source };
+            })));
+        }
+        
+        return usernames.length;
+    }
+
+    /**
+     * Parse reserved entries from json, csv, txt or array data
+     */
+    parseEntries(data, format = 'array') {
         let usernames = [];
         
         switch (format.toLowerCase()) {
             case 'json':
                 usernames = JSON.parse(data);
+                if (!Array.isArray(usernames)) {
+                    usernames = (usernames.usernames || []).concat(usernames.patterns || []);
+                }
                 break;
             
-            case 'csv':
-                usernames = data.split('\n')
+            case 'csv': {
+                const lines = data.split('\n');
+                const hasCategory = lines[0].trim().endsWith(',category');
+                usernames = lines
                     .slice(1) // Skip header
                     .map(line => line.trim())
-                    .filter(line => line.length > 0);
+                    .filter(line => line.length > 0)
+                    .map(line => {
+                        // Split on the last comma so regex quantifiers like {2,3} survive
+                        const separator = hasCategory ? line.lastIndexOf(',') : -1;
+                        if (separator === -1) {
+                            return line;
+                        }
+                        const username = line.slice(0, separator).trim();
+                        const category = line.slice(separator + 1).trim();
+                        return category ? { username, category } : username;
+                    });
                 break;
+            }
             
             case 'txt':
                 usernames = data.split('\n')
@@ -399,13 +1584,7 @@ class ReservedUsernames extends EventEmitter {
                 throw new Error(`Unsupported format: ${format}`);
         }
         
-        // Add to reserved list
-        usernames.forEach(username => {
-            const normalizedUsername = this.caseSensitive ? username : username.toLowerCase();
-            this.reservedList.add(normalizedUsername);
-        });
-        
-        return usernames.length;
+        return usernames;
     }
 
     /**
@@ -423,11 +1602,26 @@ class ReservedUsernames extends EventEmitter {
         return false;
     }
 
+    /**
+     * Clear cache without blocking; resolves to whether a cache file was deleted
+     */
+    async clearCacheAsync() {
+        try {
+            await fs.promises.unlink(this.cacheFile);
+            return true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('Failed to clear cache:', error.message);
+            }
+        }
+        return false;
+    }
+
     /**
      * Force update from remote
      */
     async forceUpdate() {
-        await this.fetchLatestData();
+        return this.fetchLatestData();
     }
 }
 
@@ -528,37 +1722,56 @@ class ReservedUsernamesUtils {
      * Create a middleware for Express.js
      */
     static createExpressMiddleware(reservedUsernames, options = {}) {
-        const errorMessage = options.errorMessage || 'Username is reserved';
-        const usernameField = options.usernameField || 'username';
-        
-        return (req, res, next) => {
-            const username = req.body[usernameField] || req.params[usernameField];
-            
-            if (username && reservedUsernames.isReserved(username)) {
-                return res.status(400).json({
-                    error: errorMessage,
-                    suggestions: reservedUsernames.suggestAlternatives(username)
-                });
-            }
-            
-            next();
-        };
+        return createExpressMiddleware(reservedUsernames, options);
+    }
+    
+    /**
+     * Reserve the top-level path segments of an Express app or router
+     */
+    static reserveExpressRoutes(reservedUsernames, app, options = {}) {
+        return reserveRoutes(reservedUsernames, app, options);
+    }
+    
+    /**
+     * Reserve the top-level segments claimed by static or file-based route directories
+     * Resolves with the scanner after the first scan; pass { watch: true } to keep it in sync
+     */
+    static async reserveFileRoutes(reservedUsernames, options = {}) {
+        const scanner = new FileRouteScanner(reservedUsernames, options);
+        await scanner.scan();
+        if (options.watch) {
+            scanner.watch();
+        }
+        return scanner;
+    }
+    
+    /**
+     * Create a standalone HTTP availability service
+     */
+    static createHttpServer(reservedUsernames, options = {}) {
+        return createServer(reservedUsernames, options);
     }
     
     /**
      * Create a validation schema for Joi
+     * Messages come from the instance's catalog for every registered locale; pick one per call with
+     * Joi's errors.language preference, or pass { locale } to change the default
      */
-    static createJoiValidator(reservedUsernames) {
+    static createJoiValidator(reservedUsernames, options = {}) {
         const Joi = require('joi');
+        const catalog = reservedUsernames.messages;
+        // Top-level keys apply when no language is requested
+        const messages = { 'username.reserved': catalog.format('reserved', {}, options.locale) };
+        catalog.codes().forEach(code => {
+            messages[code] = { 'username.reserved': catalog.format('reserved', {}, code) };
+        });
         
         return Joi.string().custom((value, helpers) => {
             if (reservedUsernames.isReserved(value)) {
                 return helpers.error('username.reserved');
             }
             return value;
-        }).messages({
-            'username.reserved': 'Username is reserved'
-        });
+        }).messages(messages);
     }
     
     /**
@@ -586,6 +1799,13 @@ class ReservedUsernamesUtils {
 module.exports = {
     ReservedUsernames,
     ReservedUsernamesUtils,
+    StorageAdapter,
+    MemoryStorage,
+    FileStorage,
+    runStorageContract,
+    FileRouteScanner,
+    UsernameHolds,
+    MemoryHoldStore,
     examples
 };
 
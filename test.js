@@ -3,7 +3,13 @@
  * Run with: node test.js
  */
 
-const { ReservedUsernames, ReservedUsernamesUtils } = require('./index.js');
+const {
+    ReservedUsernames,
+    ReservedUsernamesUtils,
+    MemoryStorage,
+    FileStorage,
+    runStorageContract
+} = require('./index.js');
 const assert = require('assert');
 
 class TestRunner {
@@ -417,6 +423,1539 @@ testRunner.addTest('Utilities', async () => {
     assert(bulkResults.every(r => r.hasOwnProperty('isReserved')), 'All results should have isReserved');
 });
 
+// Test 17: Confusable Characters
+testRunner.addTest('Confusable Characters', async () => {
+    const plain = new ReservedUsernames();
+    const reservedUsernames = new ReservedUsernames({ confusables: true });
+    
+    await Promise.all([
+        new Promise(resolve => plain.on('ready', resolve)),
+        new Promise(resolve => reservedUsernames.on('ready', resolve))
+    ]);
+    
+    // Cyrillic "а" and "ѕ"
+    assert(!plain.isReserved('\u0430dmin'), 'Confusables should be opt-in');
+    assert(reservedUsernames.isReserved('\u0430dmin'), 'Cyrillic admin should be reserved');
+    assert(reservedUsernames.isReserved('\u0455upport'), 'Cyrillic support should be reserved');
+    assert(reservedUsernames.isReserved('r00t'), 'Digit lookalikes should be reserved');
+    assert(reservedUsernames.isReserved('ad\u200Bmin'), 'Zero-width characters should be ignored');
+    assert(!reservedUsernames.isReserved('uniqueuser123'), 'uniqueuser123 should not be reserved');
+    
+    assert(reservedUsernames.findConfusable('\u0430dmin') === 'admin', 'Should report the imitated name');
+    assert(reservedUsernames.findConfusable('admin') === null, 'Exact matches are not imitations');
+    
+    const [result] = reservedUsernames.checkMultiple(['\u0430dmin']);
+    assert(result.isReserved && result.imitates === 'admin', 'checkMultiple should report the imitated name');
+    
+    const validation = reservedUsernames.validateUsername('\u0430dmin');
+    assert(!validation.isValid, 'Confusable username should be invalid');
+    assert(validation.imitates === 'admin', 'validateUsername should report the imitated name');
+    
+    // Lookup index follows imports
+    reservedUsernames.import(['paypal']);
+    assert(reservedUsernames.isReserved('p\u0430yp\u0430l'), 'Imported names should be protected');
+});
+
+// Test 18: Normalization Pipeline
+testRunner.addTest('Normalization Pipeline', async () => {
+    const reservedUsernames = new ReservedUsernames({ normalization: true });
+    const separatorsOnly = new ReservedUsernames({ normalization: { separators: true } });
+    
+    await Promise.all([
+        new Promise(resolve => reservedUsernames.on('ready', resolve)),
+        new Promise(resolve => separatorsOnly.on('ready', resolve))
+    ]);
+    
+    ['adm1n', '4dmin', 'ad_min', 's.u.p.p.o.r.t', 'root-', 'aaadmin', 'admin1'].forEach(username => {
+        assert(reservedUsernames.isReserved(username), `${username} should be reserved`);
+    });
+    assert(!reservedUsernames.isReserved('uniqueuser'), 'uniqueuser should not be reserved');
+    assert(reservedUsernames.findNormalized('adm1n') === 'admin', 'Should report the matched entry');
+    
+    // Steps are individually toggleable
+    assert(separatorsOnly.isReserved('ad_min'), 'Separators should be stripped');
+    assert(!separatorsOnly.isReserved('adm1n'), 'Substitutions should be disabled');
+    assert(!separatorsOnly.isReserved('aaadmin'), 'Repeat collapsing should be disabled');
+    
+    // Suggestions must survive the pipeline
+    const suggestions = reservedUsernames.suggestAlternatives('admin', 5);
+    assert(suggestions.length > 0, 'Should still return suggestions');
+    assert(!suggestions.includes('admin1'), 'Should not suggest names the pipeline rejects');
+    suggestions.forEach(suggestion => {
+        assert(!reservedUsernames.isReserved(suggestion), `${suggestion} should not be reserved`);
+    });
+});
+
+// Test 19: Detailed Check Results
+testRunner.addTest('Detailed Check Results', async () => {
+    const reservedUsernames = new ReservedUsernames({
+        customReserved: ['mycompany'],
+        normalization: { separators: true }
+    });
+    
+    await new Promise(resolve => {
+        reservedUsernames.on('ready', resolve);
+    });
+    
+    reservedUsernames.import(['imported']);
+    
+    const exact = reservedUsernames.checkDetailed('Admin');
+    assert(exact.isReserved, 'Admin should be reserved');
+    assert(exact.match === 'admin', 'Should report the matched entry');
+    assert(exact.source === 'fallback', 'Should report the fallback source');
+    assert(exact.strategy === 'exact', 'Should report the exact strategy');
+    
+    assert(reservedUsernames.checkDetailed('mycompany').source === 'custom', 'Should report customReserved');
+    assert(reservedUsernames.checkDetailed('imported').source === 'import', 'Should report import()');
+    
+    const normalized = reservedUsernames.checkDetailed('ad_min');
+    assert(normalized.strategy === 'normalized', 'Should report the normalized strategy');
+    assert(normalized.normalized === 'admin', 'Should report the normalized form');
+    
+    const available = reservedUsernames.checkDetailed('uniqueuser');
+    assert(!available.isReserved && available.match === null, 'Available names have no match');
+    
+    const validation = reservedUsernames.validateUsername('ad_min');
+    assert(validation.reason && validation.reason.match === 'admin', 'validateUsername should include the reason');
+    
+    // Middleware surfaces the reason
+    const middleware = ReservedUsernamesUtils.createExpressMiddleware(reservedUsernames);
+    let statusCode = null;
+    let body = null;
+    const res = {
+        status(code) { statusCode = code; return this; },
+        json(payload) { body = payload; return this; }
+    };
+    middleware({ body: { username: 'ad_min' }, params: {} }, res, () => {});
+    assert(statusCode === 400, 'Middleware should reject reserved names');
+    assert(body.reason.strategy === 'normalized', 'Middleware should include the reason');
+});
+
+// Test 20: Categories and Policies
+testRunner.addTest('Categories and Policies', async () => {
+    const reservedUsernames = new ReservedUsernames({
+        customReserved: [
+            { username: 'shop', category: 'product' },
+            { username: 'acme', category: 'brand' },
+            'mycompany'
+        ],
+        categoryPolicies: {
+            product: 'review',
+            brand: 'warn'
+        }
+    });
+    
+    await new Promise(resolve => {
+        reservedUsernames.on('ready', resolve);
+    });
+    
+    reservedUsernames.import('username,category\nsuperuser,security\nroot,security', 'csv');
+    reservedUsernames.import(['partnerco'], 'array', { category: 'brand' });
+    
+    assert(reservedUsernames.getCategory('superuser') === 'security', 'CSV import should carry categories');
+    assert(reservedUsernames.getCategory('partnerco') === 'brand', 'Import option should tag entries');
+    assert(reservedUsernames.getCategory('mycompany') === null, 'Plain entries are uncategorized');
+    
+    const brands = reservedUsernames.getAll({ category: 'brand' });
+    assert(brands.length === 2 && brands.includes('acme'), 'getAll should filter by category');
+    assert(reservedUsernames.getByCategory().security.includes('root'), 'getByCategory should group entries');
+    assert(reservedUsernames.getStats().byCategory.brand === 2, 'getStats should count categories');
+    assert(reservedUsernames.getStats({ category: 'security' }).total === 2, 'getStats should filter by category');
+    
+    const csvExport = reservedUsernames.export('csv', { category: 'security', withCategories: true });
+    assert(csvExport.split('\n')[0] === 'username,category', 'CSV export should include the category column');
+    assert(csvExport.includes('root,security'), 'CSV export should include categories');
+    
+    // Per-category actions
+    const blocked = reservedUsernames.validateUsername('root');
+    assert(!blocked.isValid && blocked.reason.action === 'block', 'Security names should be blocked');
+    
+    const review = reservedUsernames.validateUsername('shop');
+    assert(review.isValid && review.requiresApproval, 'Product names should require approval');
+    assert(review.warnings.length === 1, 'Review should produce a warning');
+    
+    const warned = reservedUsernames.validateUsername('acme');
+    assert(warned.isValid && !warned.requiresApproval, 'Brand names should only warn');
+    assert(warned.warnings.length === 1, 'Brand names should produce a warning');
+    
+    assert(!reservedUsernames.validateUsername('mycompany').isValid, 'Uncategorized names should be blocked');
+});
+
+// Test 21: Pattern Entries
+testRunner.addTest('Pattern Entries', async () => {
+    const reservedUsernames = new ReservedUsernames({
+        customReserved: ['admin*', '*-bot', { pattern: 'support[0-9]+', type: 'regex', category: 'security' }]
+    });
+    
+    await new Promise(resolve => {
+        reservedUsernames.on('ready', resolve);
+    });
+    
+    reservedUsernames.import(['team-*', '/staff[0-9]{2,3}/']);
+    
+    ['adminteam', 'Admin-Panel', 'deploy-bot', 'support42', 'team-red', 'staff007'].forEach(username => {
+        assert(reservedUsernames.isReserved(username), `${username} should be reserved`);
+    });
+    ['myadmin', 'bot-deploy', 'supportx', 'teamred', 'staff1'].forEach(username => {
+        assert(!reservedUsernames.isReserved(username), `${username} should not be reserved`);
+    });
+    
+    const detail = reservedUsernames.checkDetailed('support42');
+    assert(detail.strategy === 'pattern', 'Should report the pattern strategy');
+    assert(detail.match === '/support[0-9]+/', 'Should report the matching pattern');
+    assert(detail.source === 'custom' && detail.category === 'security', 'Should report pattern provenance');
+    
+    // Literal lookup wins over patterns
+    assert(reservedUsernames.checkDetailed('admin').strategy === 'exact', 'Literal entries should match first');
+    
+    // Patterns are listed separately and round-trip
+    assert(!reservedUsernames.getAll().includes('admin*'), 'getAll should only list literal entries');
+    assert(reservedUsernames.getPatterns().length === 5, 'getPatterns should list pattern entries');
+    
+    const copy = new ReservedUsernames();
+    await new Promise(resolve => {
+        copy.on('ready', resolve);
+    });
+    copy.import(reservedUsernames.export('json'), 'json');
+    assert(copy.getPatterns().length === 5, 'JSON export should round-trip patterns');
+    assert(copy.isReserved('staff123'), 'Round-tripped regex should still match');
+    
+    const csvCopy = new ReservedUsernames();
+    await new Promise(resolve => {
+        csvCopy.on('ready', resolve);
+    });
+    csvCopy.import(reservedUsernames.export('csv', { withCategories: true }), 'csv');
+    assert(csvCopy.getCategory('/support[0-9]+/') === 'security', 'CSV export should round-trip categories');
+    assert(csvCopy.isReserved('staff12'), 'CSV export should round-trip regex quantifiers');
+    
+    // A backslash keeps wildcards and slashes literal
+    const escaped = new ReservedUsernames();
+    await new Promise(resolve => {
+        escaped.on('ready', resolve);
+    });
+    escaped.import(['what\\?', 'a\\*b', '\\/api/', 'star\\*-*']);
+    assert(escaped.isReserved('what?') && !escaped.isReserved('whatx'), 'Escaped "?" should be literal');
+    assert(escaped.isReserved('a*b') && !escaped.isReserved('aXb'), 'Escaped "*" should be literal');
+    assert(escaped.checkDetailed('/api/').strategy === 'exact', 'Escaped slashes should not start a regex');
+    assert(escaped.isReserved('star*-x') && !escaped.isReserved('starx-x'), 'Globs may contain escaped wildcards');
+    assert(escaped.getAll().includes('what?') && escaped.getPatterns().length === 1, 'Escaped entries should be stored as literals');
+    
+    const escapedCopy = new ReservedUsernames();
+    await new Promise(resolve => {
+        escapedCopy.on('ready', resolve);
+    });
+    escapedCopy.import(escaped.export('txt'), 'txt');
+    assert(escapedCopy.isReserved('what?') && !escapedCopy.isReserved('whatx'), 'Exports should keep literals literal');
+    assert(escapedCopy.getPatterns().length === 1, 'Exports should not turn literals into patterns');
+});
+
+// Test 22: Near-Miss Detection
+testRunner.addTest('Near-Miss Detection', async () => {
+    const reservedUsernames = new ReservedUsernames();
+    
+    await new Promise(resolve => {
+        reservedUsernames.on('ready', resolve);
+    });
+    
+    const nearMisses = { amdin: 'admin', suport: 'support', admiin: 'admin' };
+    Object.keys(nearMisses).forEach(username => {
+        const similar = reservedUsernames.findSimilar(username);
+        assert(similar.some(result => result.username === nearMisses[username]),
+            `${username} should be similar to ${nearMisses[username]}`);
+    });
+    
+    const similar = reservedUsernames.findSimilar('Amdin', 2);
+    assert(similar[0].username === 'admin' && similar[0].distance === 2, 'Should report the closest entry and distance');
+    assert(reservedUsernames.findSimilar('suport', 1)[0].username === 'support', 'Should honour maxDistance');
+    assert(reservedUsernames.findSimilar('zzzzzzzzzz').length === 0, 'Unrelated names should have no matches');
+    assert(!reservedUsernames.findSimilar('xy').some(result => result.username === 'db'), 'Short entries should not match everything');
+    ['bob', 'jane', 'amy', 'leo', 'ana', 'tom'].forEach(name => {
+        assert(reservedUsernames.findSimilar(name).length === 0, `${name} should not be similar to a reserved name`);
+        assert(!reservedUsernames.validateUsername(name, { similarity: true }).requiresApproval, `${name} should not need review`);
+    });
+    
+    // Index follows imports
+    reservedUsernames.import(['paypal']);
+    assert(reservedUsernames.findSimilar('paypall', 1)[0].username === 'paypal', 'Imported names should be indexed');
+    
+    const validation = reservedUsernames.validateUsername('amdin', { similarity: true });
+    assert(validation.isValid, 'Near misses should not be rejected');
+    assert(validation.requiresApproval, 'Near misses should require review');
+    assert(validation.similar[0].username === 'admin', 'Should report the similar entry');
+    assert(!reservedUsernames.validateUsername('amdin').requiresApproval, 'Similarity rule should be optional');
+});
+
+// Test 23: Indexed Queries
+testRunner.addTest('Indexed Queries', async () => {
+    const reservedUsernames = new ReservedUsernames();
+    
+    await new Promise(resolve => {
+        reservedUsernames.on('ready', resolve);
+    });
+    
+    reservedUsernames.import(['mailbox', 'mailer', 'sysadmin', 'webadmin']);
+    
+    const mailPrefix = reservedUsernames.getByPrefix('MAIL');
+    assert(mailPrefix.join(',') === 'mail,mailbox,mailer', 'Prefix results should be indexed and ordered');
+    assert(reservedUsernames.getByPrefix('mail', { limit: 2 }).join(',') === 'mail,mailbox', 'Should honour limit');
+    assert(reservedUsernames.getByPrefix('mail', { offset: 1, limit: 1 }).join(',') === 'mailbox', 'Should honour offset');
+    assert(reservedUsernames.getByPrefix('zzz').length === 0, 'Unknown prefixes should return nothing');
+    
+    const adminSuffix = reservedUsernames.getBySuffix('admin');
+    ['admin', 'sysadmin', 'webadmin'].forEach(username => {
+        assert(adminSuffix.includes(username), `${username} should end with admin`);
+    });
+    assert(reservedUsernames.getBySuffix('admin', { limit: 1 }).length === 1, 'Suffix queries should honour limit');
+    
+    // Consecutive matches used to be skipped by a global regex's lastIndex
+    const adminPattern = reservedUsernames.getByPattern('admin');
+    assert(adminPattern.length === 4, 'Should find every username containing admin');
+    assert(reservedUsernames.getByPattern('admin', { offset: 1, limit: 2 }).length === 2, 'Pattern queries should paginate');
+});
+
+// Test 24: Multiple Upstream Sources
+testRunner.addTest('Multiple Upstream Sources', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reserved-sources-'));
+    
+    fs.writeFileSync(path.join(dir, 'base.json'), JSON.stringify(['admin', 'billing', 'status']));
+    fs.writeFileSync(path.join(dir, 'extra.csv'), 'username,category\nbilling,finance\ninvoices,finance');
+    fs.writeFileSync(path.join(dir, 'custom.list'), 'careers;jobs');
+    
+    const sources = [
+        { name: 'base', file: path.join(dir, 'base.json') },
+        { name: 'extra', file: path.join(dir, 'extra.csv') },
+        { name: 'parsed', file: path.join(dir, 'custom.list'), parser: data => data.split(';') },
+        { name: 'missing', file: path.join(dir, 'missing.json') }
+    ];
+    
+    const reservedUsernames = new ReservedUsernames({
+        sources,
+        customReserved: ['mycompany'],
+        cacheFile: path.join(dir, 'cache.json')
+    });
+    
+    const fetchErrors = [];
+    reservedUsernames.on('fetchError', error => fetchErrors.push(error));
+    
+    await new Promise(resolve => {
+        reservedUsernames.on('ready', resolve);
+    });
+    
+    reservedUsernames.import(['imported']);
+    const summary = await reservedUsernames.fetchLatestData();
+    
+    assert(summary.applied.length === 3, 'Successful sources should apply');
+    assert(summary.failed.join(',') === 'missing', 'Failed sources should be reported');
+    assert(fetchErrors.length === 1 && fetchErrors[0].source === 'missing', 'fetchError should name the failed source');
+    
+    ['admin', 'billing', 'invoices', 'careers', 'jobs', 'mycompany', 'imported'].forEach(username => {
+        assert(reservedUsernames.isReserved(username), `${username} should be reserved`);
+    });
+    assert(!reservedUsernames.isReserved('support'), 'Fallback entries should be replaced by upstream data');
+    
+    // Union keeps the first source's provenance
+    assert(reservedUsernames.checkDetailed('billing').source === 'base', 'First source should win with union');
+    assert(reservedUsernames.checkDetailed('invoices').source === 'extra', 'Should record per-entry provenance');
+    assert(reservedUsernames.checkDetailed('mycompany').source === 'custom', 'customReserved should survive updates');
+    assert(reservedUsernames.checkDetailed('imported').source === 'import', 'Imports should survive updates');
+    
+    // Override lets later sources win
+    const override = new ReservedUsernames({
+        sources: sources.slice(0, 2),
+        mergeStrategy: 'override',
+        cacheFile: path.join(dir, 'override-cache.json')
+    });
+    
+    await new Promise(resolve => {
+        override.on('ready', resolve);
+    });
+    
+    await override.fetchLatestData();
+    const billing = override.checkDetailed('billing');
+    assert(billing.source === 'extra' && billing.category === 'finance', 'Last source should win with override');
+    
+    // A malformed source fails alone while good sources still apply, even during init
+    fs.writeFileSync(path.join(dir, 'good.json'), JSON.stringify(['goodname']));
+    fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify(['badname', null]));
+    const mixed = new ReservedUsernames({
+        sources: [{ name: 'good', file: path.join(dir, 'good.json') }, { name: 'bad', file: path.join(dir, 'bad.json') }],
+        autoUpdate: true,
+        cacheFile: path.join(dir, 'mixed-cache.json')
+    });
+    const mixedErrors = [];
+    mixed.on('fetchError', error => mixedErrors.push(error));
+    mixed.on('error', error => mixedErrors.push(error));
+    await new Promise(resolve => {
+        mixed.on('ready', resolve);
+    });
+    assert(mixed.isReserved('goodname') && !mixed.isReserved('badname'), 'Only the good source should apply');
+    assert(mixedErrors.length === 1 && mixedErrors[0].source === 'bad' && /entry 1/.test(mixedErrors[0].message),
+        'The malformed source should be reported through fetchError');
+    
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Test 25: Remote Fetching
+testRunner.addTest('Remote Fetching', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const http = require('http');
+    const crypto = require('crypto');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reserved-fetch-'));
+    
+    const list = JSON.stringify(['admin', 'billing', 'status']);
+    const requests = [];
+    let flakyFailures = 1;
+    
+    // Local stand-in for the upstream host
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+        
+        switch (req.url) {
+            case '/list.json':
+                if (req.headers['if-none-match'] === '"v1"') {
+                    res.writeHead(304);
+                    return res.end();
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json', ETag: '"v1"' });
+                return res.end(list);
+            case '/moved.json':
+                res.writeHead(302, { Location: '/list.json' });
+                return res.end();
+            case '/flaky.json':
+                if (flakyFailures-- > 0) {
+                    res.writeHead(503);
+                    return res.end();
+                }
+                res.writeHead(200);
+                return res.end(list);
+            case '/slow.json':
+                return setTimeout(() => res.end(list), 500);
+            case '/trickle.json': {
+                // One byte at a time, never idle long enough for the socket timeout
+                res.writeHead(200);
+                const trickle = setInterval(() => res.write(' '), 20);
+                return res.on('close', () => clearInterval(trickle));
+            }
+            case '/huge.json':
+                res.writeHead(200);
+                return res.end(JSON.stringify(new Array(1000).fill('x')));
+            default:
+                res.writeHead(404);
+                return res.end();
+        }
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    
+    try {
+        const reservedUsernames = new ReservedUsernames({
+            sources: [{ name: 'main', url: `${base}/list.json` }],
+            fetch: { retries: 0 },
+            cacheFile: path.join(dir, 'cache.json')
+        });
+        reservedUsernames.on('fetchError', () => {});
+        
+        await new Promise(resolve => {
+            reservedUsernames.on('ready', resolve);
+        });
+        
+        // Conditional requests reuse the validators stored in the cache
+        await reservedUsernames.fetchLatestData();
+        assert(reservedUsernames.isReserved('billing'), 'Fetched entries should apply');
+        assert(JSON.parse(fs.readFileSync(path.join(dir, 'cache.json'), 'utf8')).upstream.main.etag === '"v1"',
+            'ETag should be stored alongside the cache');
+        
+        const restarted = new ReservedUsernames({
+            sources: [{ name: 'main', url: `${base}/list.json` }],
+            cacheFile: path.join(dir, 'cache.json')
+        });
+        await new Promise(resolve => {
+            restarted.on('ready', resolve);
+        });
+        
+        const summary = await restarted.fetchLatestData();
+        assert(requests[requests.length - 1].headers['if-none-match'] === '"v1"', 'Should send If-None-Match');
+        assert(summary.applied.join(',') === 'main', 'Not Modified should count as applied');
+        assert(restarted.checkDetailed('billing').source === 'main', 'Not Modified should keep the cached entries');
+        
+        // Redirects, retries, timeouts and size limits
+        assert(JSON.parse(await reservedUsernames.fetchFromUrl(`${base}/moved.json`)).length === 3, 'Should follow redirects');
+        assert(JSON.parse(await reservedUsernames.fetchFromUrl(`${base}/flaky.json`, { retries: 1, retryDelay: 1 })).length === 3,
+            'Should retry transient failures');
+        
+        const failures = await Promise.all([
+            reservedUsernames.fetchFromUrl(`${base}/slow.json`, { timeout: 50 }),
+            reservedUsernames.fetchFromUrl(`${base}/huge.json`, { maxBytes: 100 }),
+            reservedUsernames.fetchFromUrl(`${base}/missing.json`, { retries: 0 })
+        ].map(promise => promise.then(() => null, error => error.code)));
+        assert(failures.join(',') === 'TIMEOUT,TOO_LARGE,HTTP_ERROR', `Unexpected failures: ${failures.join(',')}`);
+        
+        // An overall deadline stops servers that trickle bytes under the idle timeout
+        const started = Date.now();
+        const trickled = await reservedUsernames.fetchFromUrl(`${base}/trickle.json`, { timeout: 100, deadline: 300, retries: 0 })
+            .then(() => null, error => error);
+        assert(trickled && trickled.code === 'TIMEOUT' && /Deadline/.test(trickled.message), 'Trickling responses should hit the deadline');
+        assert(Date.now() - started < 2000, 'The deadline should end the fetch promptly');
+        
+        // Redirects may not downgrade https to http
+        const { checkRedirect } = require('./lib/http-fetch');
+        const downgrade = checkRedirect(new URL('https://lists.example/a.json'), new URL('http://lists.example/a.json'));
+        assert(downgrade && downgrade.code === 'INSECURE_REDIRECT' && !downgrade.retryable, 'https to http redirects should be refused');
+        assert(checkRedirect(new URL('https://lists.example/a.json'), new URL('http://lists.example/a.json'), { allowInsecureRedirects: true }) === null,
+            'Insecure redirects can be allowed explicitly');
+        assert(checkRedirect(new URL('http://lists.example/a.json'), new URL('https://lists.example/a.json')) === null, 'Upgrades should be followed');
+        
+        // Integrity pinning rejects tampered lists without touching reservedList
+        const goodHash = crypto.createHash('sha256').update(list).digest('hex');
+        const pinned = new ReservedUsernames({
+            sources: [{ name: 'pinned', url: `${base}/list.json`, integrity: 'sha256-' + Buffer.alloc(32).toString('base64') }],
+            fetch: { retries: 0 },
+            cacheFile: path.join(dir, 'pinned-cache.json')
+        });
+        pinned.on('fetchError', () => {});
+        await new Promise(resolve => {
+            pinned.on('ready', resolve);
+        });
+        
+        const rejected = await pinned.fetchLatestData();
+        assert(rejected.failed.join(',') === 'pinned', 'Integrity mismatch should fail the source');
+        assert(pinned.isReserved('support') && !pinned.isReserved('billing'), 'Rejected lists should not replace reservedList');
+        
+        pinned.upstreamSources[0].integrity = goodHash;
+        await pinned.fetchLatestData();
+        assert(pinned.isReserved('billing'), 'Matching integrity should apply');
+    } finally {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// Test 26: Cache Lifetime and Revalidation
+testRunner.addTest('Cache Lifetime and Revalidation', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const crypto = require('crypto');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reserved-cache-'));
+    const cacheFile = path.join(dir, 'cache.json');
+    const sourceFile = path.join(dir, 'list.json');
+    
+    const writeCache = (entries, age, overrides = {}) => {
+        fs.writeFileSync(cacheFile, JSON.stringify(Object.assign({
+            version: 3,
+            timestamp: Date.now() - age,
+            sources: [sourceFile],
+            checksum: crypto.createHash('sha256').update(JSON.stringify({ entries, upstream: overrides.upstream || {} })).digest('hex'),
+            entries
+        }, overrides)));
+    };
+    
+    fs.writeFileSync(sourceFile, JSON.stringify(['fresh1', 'fresh2']));
+    
+    try {
+        // A stale cache is served immediately and refreshed in the background
+        writeCache(['stale1', 'stale2'], 2 * 60 * 60 * 1000);
+        const reservedUsernames = new ReservedUsernames({
+            sources: [{ name: 'list', file: sourceFile }],
+            cacheFile,
+            cacheTTL: 60 * 60 * 1000,
+            autoUpdate: true
+        });
+        const revalidated = new Promise(resolve => reservedUsernames.on('revalidated', resolve));
+        
+        await new Promise(resolve => {
+            reservedUsernames.on('ready', resolve);
+        });
+        
+        assert(reservedUsernames.cacheState === 'stale', 'Cache should be marked stale');
+        assert(reservedUsernames.checkDetailed('stale1').source === 'cache', 'Stale cache should be served');
+        
+        await revalidated;
+        assert(reservedUsernames.isReserved('fresh1') && !reservedUsernames.isReserved('stale1'), 'Background refresh should apply');
+        
+        // Atomic write in the versioned format
+        const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        assert(cached.version === 3, 'Cache should record its version');
+        assert(cached.sources[0] === sourceFile, 'Cache should record its sources');
+        assert(typeof cached.checksum === 'string' && cached.entries.some(entry => entry.username === 'fresh1'), 'Cache should record a checksum');
+        assert(fs.readdirSync(dir).every(file => !file.endsWith('.tmp')), 'Temp files should be renamed away');
+        
+        // Stale caches fall back when revalidation is disabled
+        writeCache(['stale1'], 2 * 60 * 60 * 1000);
+        const strict = new ReservedUsernames({ cacheFile, cacheTTL: 60 * 60 * 1000, staleWhileRevalidate: false });
+        await new Promise(resolve => {
+            strict.on('ready', resolve);
+        });
+        assert(!strict.isReserved('stale1') && strict.isReserved('admin'), 'Strict mode should use the fallback list');
+        
+        // Corrupt caches are rejected
+        writeCache(['stale1'], 0, { checksum: 'tampered' });
+        const corrupt = new ReservedUsernames({ cacheFile });
+        await new Promise(resolve => {
+            corrupt.on('ready', resolve);
+        });
+        assert(corrupt.cacheState === 'missing' && !corrupt.isReserved('stale1'), 'Checksum mismatch should be rejected');
+        
+        // Entries kept for 304 responses are covered by the checksum
+        writeCache(['stale1'], 0, { upstream: { remote: { etag: '"v1"', entries: ['stale1'] } } });
+        const cachedState = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        const trusted = new ReservedUsernames({ cacheFile });
+        await new Promise(resolve => trusted.on('ready', resolve));
+        assert(trusted.cacheState === 'fresh' && trusted.upstreamState.remote.etag === '"v1"', 'Untampered upstream state should load');
+        cachedState.upstream.remote.entries = [];
+        fs.writeFileSync(cacheFile, JSON.stringify(cachedState));
+        const tampered = new ReservedUsernames({ cacheFile });
+        await new Promise(resolve => tampered.on('ready', resolve));
+        assert(tampered.cacheState === 'missing', 'Tampered upstream entries should be rejected');
+        
+        // A TTL of 0 makes every cache stale
+        writeCache(['stale1'], 0);
+        const uncached = new ReservedUsernames({ cacheFile, cacheTTL: 0 });
+        await new Promise(resolve => uncached.on('ready', resolve));
+        assert(uncached.cacheTTL === 0 && uncached.cacheState === 'stale', 'cacheTTL 0 should be honoured');
+        
+        // Both clearCache variants report whether there was a cache
+        assert(await uncached.clearCacheAsync() === true && !fs.existsSync(cacheFile), 'clearCacheAsync should delete the cache');
+        assert(await uncached.clearCacheAsync() === false, 'clearCacheAsync should report a missing cache');
+        writeCache(['stale1'], 0);
+        assert(uncached.clearCache() === true && !fs.existsSync(cacheFile), 'clearCache should stay synchronous');
+        
+        // Categories and patterns survive a reload from the cache
+        fs.writeFileSync(sourceFile, JSON.stringify([
+            { username: 'billing', category: 'finance' },
+            { pattern: 'support[0-9]+', type: 'regex', category: 'staff' },
+            'team-*'
+        ]));
+        const fetching = new ReservedUsernames({ sources: [{ name: 'list', file: sourceFile }], cacheFile, autoUpdate: true });
+        await new Promise(resolve => fetching.on('ready', resolve));
+        const reloaded = new ReservedUsernames({ sources: [{ name: 'list', file: sourceFile }], cacheFile });
+        await new Promise(resolve => reloaded.on('ready', resolve));
+        assert(reloaded.cacheState === 'fresh' && reloaded.checkDetailed('billing').source === 'cache', 'The cache should be loaded');
+        assert(reloaded.getCategory('billing') === 'finance', 'Categories should survive the cache');
+        const pattern = reloaded.checkDetailed('support42');
+        assert(pattern.strategy === 'pattern' && pattern.category === 'staff', 'Regex entries should survive the cache');
+        assert(reloaded.isReserved('team-red') && !reloaded.isReserved('support[0-9]+'), 'Patterns should not come back as literals');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// Test 27: Storage Adapters
+testRunner.addTest('Storage Adapters', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reserved-storage-'));
+    
+    try {
+        // Built-in adapters satisfy the contract
+        const memoryReport = await runStorageContract(() => new MemoryStorage());
+        assert(memoryReport.failed === 0, `MemoryStorage failed: ${memoryReport.results.filter(r => !r.ok).map(r => r.name).join(', ')}`);
+        
+        let fileCount = 0;
+        const fileReport = await runStorageContract(() => new FileStorage({ file: path.join(dir, `contract-${fileCount++}.json`) }));
+        assert(fileReport.failed === 0, `FileStorage failed: ${fileReport.results.filter(r => !r.ok).map(r => r.name).join(', ')}`);
+        
+        // Instances sharing an adapter see each other's changes
+        const storage = new MemoryStorage();
+        const first = new ReservedUsernames({ storage });
+        const second = new ReservedUsernames({ storage });
+        await Promise.all([
+            new Promise(resolve => first.on('ready', resolve)),
+            new Promise(resolve => second.on('ready', resolve))
+        ]);
+        
+        first.import([{ username: 'Partner', category: 'brand' }, 'team-*']);
+        assert(second.isReserved('partner'), 'Imports should reach other instances');
+        assert(second.getCategory('partner') === 'brand', 'Categories should be shared');
+        assert(second.isReserved('team-red'), 'Pattern entries should be shared');
+        assert(await storage.has('partner'), 'Storage should hold imported entries');
+        
+        second.remove(['partner']);
+        assert(!first.isReserved('partner'), 'Removals should reach other instances');
+        assert(first.getByPrefix('partner').length === 0, 'Removals should update the prefix index');
+        
+        const late = new ReservedUsernames({ storage });
+        await new Promise(resolve => late.on('ready', resolve));
+        assert(late.isReserved('team-blue'), 'New instances should load shared entries');
+        
+        first.close();
+        second.import(['afterclose']);
+        assert(!first.isReserved('afterclose'), 'Closed instances should stop following changes');
+        
+        // File storage notifies instances in other processes by polling
+        const file = path.join(dir, 'shared.json');
+        const writer = new FileStorage({ file, watch: false });
+        const reader = new FileStorage({ file, interval: 20 });
+        const watching = new ReservedUsernames({ storage: reader });
+        await new Promise(resolve => watching.on('ready', resolve));
+        
+        const changed = new Promise(resolve => watching.once('storageChange', resolve));
+        await writer.load();
+        await writer.add([{ username: 'fromdisk', source: 'import' }]);
+        await changed;
+        assert(watching.isReserved('fromdisk'), 'File changes should be picked up');
+        
+        await reader.close();
+        
+        // Overlapping writes are serialized, so none of them is lost
+        const concurrentFile = path.join(dir, 'concurrent.json');
+        const concurrent = new ReservedUsernames({ storage: new FileStorage({ file: concurrentFile, watch: false }) });
+        await new Promise(resolve => concurrent.on('ready', resolve));
+        const failures = [];
+        concurrent.on('storageError', error => failures.push(error));
+        concurrent.import(['alpha']);
+        concurrent.import(['beta']);
+        concurrent.import(['gamma']);
+        concurrent.remove(['beta']);
+        concurrent.import(['delta']);
+        await concurrent.flush();
+        const stored = JSON.parse(fs.readFileSync(concurrentFile, 'utf8')).map(entry => entry.username).sort();
+        assert(failures.length === 0, 'Concurrent writes should not fail');
+        assert(stored.join() === 'alpha,delta,gamma', `Every write should reach the file, got ${stored.join()}`);
+        assert(fs.readdirSync(dir).every(name => !name.endsWith('.tmp')), 'No temp files should be left behind');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// Test 28: Command-Line Interface
+testRunner.addTest('Command-Line Interface', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { Readable } = require('stream');
+    const { run } = require('./cli.js');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reserved-cli-'));
+    
+    const cli = async (args, input) => {
+        const output = [];
+        const errors = [];
+        const code = await run(args.concat('--cache-file', path.join(dir, 'cache.json')), {
+            stdin: Readable.from(input ? [input] : []),
+            print: line => output.push(line),
+            error: line => errors.push(line)
+        });
+        return { code, output: output.join('\n'), errors: errors.join('\n') };
+    };
+    
+    try {
+        const reserved = await cli(['check', 'admin', 'john']);
+        assert(reserved.code === 1, 'check should exit non-zero when a name is reserved');
+        assert(reserved.output.includes('admin: RESERVED'), 'check should report reserved names');
+        
+        const available = await cli(['check', 'john', '--json']);
+        assert(available.code === 0, 'check should exit zero when every name is available');
+        assert(JSON.parse(available.output)[0].isReserved === false, 'check should support JSON output');
+        
+        const bulk = await cli(['check', '--json'], 'john\nroot\n');
+        assert(JSON.parse(bulk.output).length === 2 && bulk.code === 1, 'check should read names from stdin');
+        
+        const namesFile = path.join(dir, 'names.txt');
+        fs.writeFileSync(namesFile, 'alice\nbob\n');
+        assert((await cli(['check', '--file', namesFile])).code === 0, 'check should read names from --file');
+        
+        const search = await cli(['search', '--prefix', 'log', '--json']);
+        assert(JSON.parse(search.output).includes('login'), 'search should wrap getByPrefix');
+        
+        const validate = await cli(['validate', 'jo', '--min-length', '3', '--json']);
+        assert(validate.code === 1 && JSON.parse(validate.output)[0].errors.length === 1, 'validate should apply rule flags');
+        
+        const suggest = await cli(['suggest', 'admin', '--count', '2', '--json']);
+        assert(JSON.parse(suggest.output).length === 2, 'suggest should honour --count');
+        
+        // Imports persist through shared storage
+        const storage = path.join(dir, 'storage.json');
+        const listFile = path.join(dir, 'brands.txt');
+        fs.writeFileSync(listFile, 'acme\nglobex\n');
+        const imported = await cli(['import', listFile, '--storage', storage, '--category', 'brand']);
+        assert(imported.code === 0 && imported.output === 'Imported 2 entries', 'import should report the count');
+        assert((await cli(['check', 'acme', '--storage', storage])).code === 1, 'Imported names should persist');
+        
+        const exported = await cli(['export', '--format', 'csv', '--category', 'brand', '--storage', storage]);
+        assert(exported.output.split('\n').length === 3, 'export should filter by category');
+        
+        const stats = await cli(['stats', '--json']);
+        assert(JSON.parse(stats.output).total > 0, 'stats should print statistics');
+        
+        const usage = await cli(['frobnicate']);
+        assert(usage.code === 2 && usage.errors.includes('Unknown command'), 'Unknown commands should be usage errors');
+        
+        // Closing the pipe early, as `head` does, ends the CLI quietly
+        const { spawn } = require('child_process');
+        const bulkFile = path.join(dir, 'bulk.txt');
+        fs.writeFileSync(bulkFile, Array.from({ length: 30000 }, (_, i) => `user${i}`).join('\n'));
+        const child = spawn(process.execPath, [path.join(__dirname, 'cli.js'), 'check', '--file', bulkFile, '--cache-file', path.join(dir, 'cache.json')]);
+        let stderr = '';
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.stdout.once('data', () => child.stdout.destroy());
+        const exitCode = await new Promise(resolve => child.on('close', resolve));
+        assert(exitCode === 0 && !stderr.includes('EPIPE'), `A closed stdout should not crash the CLI: ${stderr}`);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// Test 29: HTTP Service
+testRunner.addTest('HTTP Service', async () => {
+    const http = require('http');
+    const reservedUsernames = new ReservedUsernames();
+    const server = ReservedUsernamesUtils.createHttpServer(reservedUsernames);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    const request = (method, path, body) => new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path }, res => {
+            let data = '';
+            res.on('data', chunk => {
+                data += chunk;
+            });
+            res.on('end', () => {
+                const json = /json/.test(res.headers['content-type']) ? JSON.parse(data) : null;
+                resolve({ status: res.statusCode, headers: res.headers, body: json, text: data });
+            });
+        });
+        req.on('error', reject);
+        req.end(body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body));
+    });
+    
+    try {
+        // Readiness reflects the ready event
+        assert((await request('GET', '/health')).status === 200, 'Health should always be OK');
+        if (!reservedUsernames.ready) {
+            assert((await request('GET', '/ready')).status === 503, 'Ready should be 503 while loading');
+        }
+        await new Promise(resolve => {
+            if (reservedUsernames.ready) return resolve();
+            reservedUsernames.on('ready', resolve);
+        });
+        assert((await request('GET', '/ready')).status === 200, 'Ready should be 200 once loaded');
+        
+        const check = await request('GET', '/check/Admin');
+        assert(check.status === 200 && check.body.isReserved && check.body.match === 'admin', 'GET /check should use checkDetailed');
+        
+        const batch = await request('POST', '/check', { usernames: ['admin', 'john'] });
+        assert(batch.body.results.map(r => r.isReserved).join(',') === 'true,false', 'POST /check should check a batch');
+        
+        const suggest = await request('GET', '/suggest/admin?count=2');
+        assert(suggest.body.suggestions.length === 2, 'GET /suggest should honour count');
+        
+        const validate = await request('POST', '/validate', { username: 'jo', rules: { minLength: 3 } });
+        assert(validate.body.results[0].isValid === false, 'POST /validate should apply rules');
+        
+        // Client-supplied regular expressions are refused unless the server allows them
+        const redos = await request('POST', '/validate', { username: 'a'.repeat(40) + '!', rules: { forbiddenPatterns: ['(a+)+$'] } });
+        assert(redos.status === 400 && /forbiddenPatterns/.test(redos.body.error), 'forbiddenPatterns should be rejected by default');
+        const nested = await request('POST', '/validate', { username: 'jo', rules: { preset: [{ forbiddenPatterns: ['x'] }] } });
+        assert(nested.status === 400, 'forbiddenPatterns in nested presets should be rejected');
+        assert((await request('POST', '/validate', { username: 'jo', rules: { preset: 'github' } })).status === 200, 'Presets should be accepted');
+        
+        const trusting = ReservedUsernamesUtils.createHttpServer(reservedUsernames, { allowPatterns: true });
+        await new Promise(resolve => trusting.listen(0, '127.0.0.1', resolve));
+        try {
+            const allowed = await new Promise((resolve, reject) => {
+                const req = http.request({ host: '127.0.0.1', port: trusting.address().port, method: 'POST', path: '/validate' }, res => {
+                    let data = '';
+                    res.on('data', chunk => { data += chunk; });
+                    res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+                });
+                req.on('error', reject);
+                req.end(JSON.stringify({ username: 'bad-word', rules: { forbiddenPatterns: ['bad'] } }));
+            });
+            assert(allowed.status === 200 && allowed.body.results[0].issues[0].code === 'FORBIDDEN_PATTERN', 'allowPatterns should accept client patterns');
+        } finally {
+            await new Promise(resolve => trusting.close(resolve));
+        }
+        
+        assert((await request('GET', '/stats')).body.total > 0, 'GET /stats should return statistics');
+        
+        const csv = await request('GET', '/export?format=csv');
+        assert(csv.status === 200 && /text\/csv/.test(csv.headers['content-type']), 'Export should set the content type');
+        assert(csv.text.startsWith('username\n'), 'Export should return CSV');
+        
+        // Error codes
+        assert((await request('GET', '/export?format=xml')).status === 400, 'Unknown formats should be 400');
+        assert((await request('POST', '/check', '{not json')).status === 400, 'Invalid JSON should be 400');
+        assert((await request('POST', '/check', { usernames: 'admin' })).status === 400, 'Invalid bodies should be 400');
+        assert((await request('DELETE', '/stats')).status === 405, 'Wrong methods should be 405');
+        assert((await request('GET', '/nope')).status === 404, 'Unknown routes should be 404');
+        assert((await request('GET', '/check/%E0%A4%A')).status === 400, 'Malformed escapes should be 400');
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+// Test 30: Express Middleware Options
+testRunner.addTest('Express Middleware Options', async () => {
+    const invoke = (middleware, req) => new Promise(resolve => {
+        const res = {
+            statusCode: null,
+            body: null,
+            status(code) { this.statusCode = code; return this; },
+            json(payload) { this.body = payload; resolve({ res: this, nextArgs: null }); return this; }
+        };
+        middleware(req, res, (...args) => resolve({ res, nextArgs: args }));
+    });
+    
+    // Readiness: fail fast or wait
+    const reservedUsernames = new ReservedUsernames();
+    const failFast = ReservedUsernamesUtils.createExpressMiddleware(reservedUsernames, { waitForReady: false });
+    const waiting = ReservedUsernamesUtils.createExpressMiddleware(reservedUsernames);
+    
+    if (!reservedUsernames.ready) {
+        const early = await invoke(failFast, { body: { username: 'admin' } });
+        assert(early.res.statusCode === 503, 'Fail-fast mode should respond 503 before ready');
+    }
+    const waited = await invoke(waiting, { body: { username: 'admin' } });
+    assert(waited.res.statusCode === 400, 'Default mode should wait for ready and then check');
+    
+    // Missing body parser, query strings and nested fields
+    const defaults = ReservedUsernamesUtils.createExpressMiddleware(reservedUsernames);
+    const noBody = await invoke(defaults, { params: {}, query: {} });
+    assert(noBody.nextArgs && noBody.nextArgs.length === 0, 'Requests without a body should pass through');
+    assert((await invoke(defaults, { query: { username: 'root' } })).res.statusCode === 400, 'Query strings should be checked');
+    
+    const multiple = ReservedUsernamesUtils.createExpressMiddleware(reservedUsernames, {
+        fields: ['profile.handle', 'organization.slug']
+    });
+    const both = await invoke(multiple, { body: { profile: { handle: 'admin' }, organization: { slug: 'api' } } });
+    assert(both.res.statusCode === 400, 'Nested fields should be checked');
+    assert(both.res.body.reserved.map(v => v.field).join(',') === 'profile.handle,organization.slug', 'Every field should be reported');
+    assert((await invoke(multiple, { body: { profile: { handle: 'john' } } })).nextArgs, 'Available names should pass');
+    
+    // Custom extractor and next(err) mode
+    const custom = ReservedUsernamesUtils.createExpressMiddleware(reservedUsernames, {
+        extract: req => req.headers['x-username'],
+        mode: 'next'
+    });
+    const forwarded = await invoke(custom, { headers: { 'x-username': 'support' } });
+    const error = forwarded.nextArgs[0];
+    assert(error instanceof Error && error.status === 400, 'next mode should forward an error');
+    assert(error.code === 'USERNAME_RESERVED' && error.details.reserved[0].username === 'support', 'Errors should carry details');
+    
+    // Custom response
+    const handled = ReservedUsernamesUtils.createExpressMiddleware(reservedUsernames, {
+        onReserved: (req, res, next, violations) => res.status(409).json({ taken: violations.map(v => v.username) })
+    });
+    const conflict = await invoke(handled, { body: { username: 'admin' } });
+    assert(conflict.res.statusCode === 409 && conflict.res.body.taken[0] === 'admin', 'onReserved should control the response');
+});
+
+// Test 31: Reserve Express Routes
+testRunner.addTest('Reserve Express Routes', async () => {
+    const express = require('express');
+    const reservedUsernames = new ReservedUsernames();
+    await reservedUsernames.whenReady();
+    
+    // Apps without routes yet have nothing to reserve; re-running picks up routes added later
+    const empty = express();
+    assert(ReservedUsernamesUtils.reserveExpressRoutes(reservedUsernames, empty).segments.length === 0, 'Apps without routes should reserve nothing');
+    empty.get('/late', () => {});
+    assert(ReservedUsernamesUtils.reserveExpressRoutes(reservedUsernames, empty).added.join() === 'late', 'Re-running should pick up new routes');
+    reservedUsernames.remove(['late']);
+    
+    const app = express();
+    const api = express.Router();
+    api.get('/users', () => {});
+    app.use('/api/v1', api);
+    app.use('/blog', express());
+    app.get('/settings/profile', () => {});
+    app.get(['/pricing', '/Explore'], () => {});
+    app.get('/:username', () => {});
+    
+    const pages = express.Router();
+    pages.get('/changelog', () => {});
+    app.use(pages);
+    
+    const first = ReservedUsernamesUtils.reserveExpressRoutes(reservedUsernames, app);
+    ['api', 'blog', 'settings', 'pricing', 'explore', 'changelog'].forEach(segment => {
+        assert(reservedUsernames.isReserved(segment), `${segment} should be reserved from the route table`);
+    });
+    assert(!first.segments.includes('users') && !first.segments.some(s => s.includes(':')), 'Only first static segments should be collected');
+    assert(reservedUsernames.checkDetailed('pricing').source === 'route', 'Route segments should have route provenance');
+    assert(reservedUsernames.checkDetailed('api').source !== 'route', 'Existing entries should keep their provenance');
+    assert(first.stale.length === 0, 'Nothing should be stale on the first run');
+    
+    // Re-run against a smaller route table
+    const smaller = express();
+    smaller.get('/settings', () => {});
+    smaller.get('/roadmap', () => {});
+    const second = ReservedUsernamesUtils.reserveExpressRoutes(reservedUsernames, smaller);
+    assert(second.added.length === 1 && second.added[0] === 'roadmap', 'Only new segments should be added');
+    assert(['pricing', 'explore', 'changelog'].every(name => second.stale.includes(name)), 'Removed routes should be reported as stale');
+    assert(reservedUsernames.isReserved('pricing'), 'Stale entries are kept unless pruning');
+    
+    const pruned = ReservedUsernamesUtils.reserveExpressRoutes(reservedUsernames, smaller, { prune: true });
+    assert(pruned.removed === second.stale.length && !reservedUsernames.isReserved('pricing'), 'prune should remove stale entries');
+});
+
+// Test 32: Reserve File Routes
+testRunner.addTest('Reserve File Routes', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reserved-files-'));
+    const write = (file, content = '') => {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), content);
+    };
+    
+    try {
+        write('public/humans.txt');
+        write('public/zebra-assets/logo.svg');
+        write('public/.DS_Store');
+        write('pages/index.js');
+        write('pages/_app.js');
+        write('pages/[username].js');
+        write('pages/quokka-pricing.tsx');
+        write('pages/wombat-docs/index.mdx');
+        write('app/page.js');
+        write('app/(marketing)/numbat-blog/page.js');
+        write('app/kiwi-api/v1/route.ts');
+        write('app/_components/button.js');
+        write('app/empty-folder/notes.txt');
+        write('app/robots.ts');
+        
+        const reservedUsernames = new ReservedUsernames();
+        await reservedUsernames.whenReady();
+        
+        const scanner = await ReservedUsernamesUtils.reserveFileRoutes(reservedUsernames, {
+            directories: [
+                { dir: path.join(dir, 'public'), preset: 'static' },
+                { dir: path.join(dir, 'pages'), preset: 'next-pages' },
+                { dir: path.join(dir, 'app'), preset: 'next-app' }
+            ]
+        });
+        
+        ['humans.txt', 'zebra-assets', 'quokka-pricing', 'wombat-docs', 'numbat-blog', 'kiwi-api', 'robots.txt'].forEach(name => {
+            assert(reservedUsernames.isReserved(name), `${name} should be reserved`);
+        });
+        ['.ds_store', 'index', '_app', '[username]', '(marketing)', '_components', 'empty-folder'].forEach(name => {
+            assert(!reservedUsernames.isReserved(name), `${name} should not be reserved`);
+        });
+        assert(reservedUsernames.checkDetailed('kiwi-api').source === 'file', 'Segments should have file provenance');
+        
+        // Rescans follow files being added and removed
+        fs.rmSync(path.join(dir, 'pages/quokka-pricing.tsx'));
+        write('pages/emu-careers.js');
+        const result = await scanner.scan();
+        assert(result.added.join() === 'emu-careers' && result.removed.join() === 'quokka-pricing', 'Rescans should report changes');
+        assert(!reservedUsernames.isReserved('quokka-pricing') && reservedUsernames.isReserved('emu-careers'), 'Rescans should sync the list');
+        
+        // Watch mode
+        scanner.watch();
+        const synced = new Promise(resolve => scanner.once('sync', resolve));
+        write('public/koala-feed.xml');
+        const watched = await Promise.race([synced, new Promise(resolve => setTimeout(() => resolve(null), 3000))]);
+        scanner.close();
+        assert(watched && reservedUsernames.isReserved('koala-feed.xml'), 'Watch mode should pick up new files');
+        
+        // Without recursive fs.watch (Linux before Node 20) every directory is watched on its own
+        const { watchEachDirectory } = require('./lib/file-routes');
+        const tree = path.join(dir, 'tree');
+        fs.mkdirSync(path.join(tree, 'nested'), { recursive: true });
+        let events = 0;
+        const changed = () => new Promise(resolve => {
+            const start = events;
+            const poll = setInterval(() => {
+                if (events > start) {
+                    clearInterval(poll);
+                    resolve(true);
+                }
+            }, 10);
+            setTimeout(() => {
+                clearInterval(poll);
+                resolve(false);
+            }, 3000);
+        });
+        const treeWatcher = watchEachDirectory(tree, () => events++);
+        try {
+            let pending = changed();
+            fs.writeFileSync(path.join(tree, 'nested', 'page.js'), '');
+            assert(await pending, 'Nested directories should be watched');
+            
+            fs.mkdirSync(path.join(tree, 'later'));
+            await new Promise(resolve => setTimeout(resolve, 50));
+            pending = changed();
+            fs.writeFileSync(path.join(tree, 'later', 'page.js'), '');
+            assert(await pending, 'Directories created later should be watched');
+        } finally {
+            treeWatcher.close();
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// Test 33: Containment Blocking
+testRunner.addTest('Containment Blocking', async () => {
+    const { AhoCorasick } = require('./lib/aho-corasick');
+    const automaton = new AhoCorasick(['he', 'she', 'his', 'hers']);
+    const found = automaton.search('ushers').map(match => `${match.term}@${match.position}`);
+    assert(found.join(',') === 'she@1,hers@2,he@2', 'Automaton should find overlapping terms');
+    
+    const reservedUsernames = new ReservedUsernames({
+        customReserved: ['admin', 'support', 'official', 'db'],
+        contains: { entries: ['admin', 'support', 'official', 'db'], categories: ['brand'] },
+        categoryPolicies: { brand: 'review' }
+    });
+    await reservedUsernames.whenReady();
+    reservedUsernames.import(['paypal'], 'array', { category: 'brand' });
+    
+    const team = reservedUsernames.checkDetailed('Admin-Team');
+    assert(team.isReserved && team.strategy === 'contains' && team.match === 'admin', 'Contained entries should be blocked');
+    assert(reservedUsernames.isReserved('official-support'), 'Any contained entry should block');
+    assert(!reservedUsernames.isReserved('dbrown'), 'Entries shorter than minLength should not block');
+    assert(reservedUsernames.checkMultiple(['paypal-help'])[0].contains[0] === 'paypal', 'Selected categories should be contained');
+    
+    const validation = reservedUsernames.validateUsername('official-support');
+    assert(!validation.isValid && validation.errors.length === 2, 'Every contained term should be reported');
+    assert(validation.contains[1].term === 'support' && validation.contains[1].position === 9, 'Positions should be reported');
+    
+    const brand = reservedUsernames.validateUsername('paypal-help');
+    assert(brand.isValid && brand.requiresApproval, 'Contained terms should follow their category policy');
+    
+    const bulk = await ReservedUsernamesUtils.checkBulk(reservedUsernames, ['superadmin', 'john']);
+    assert(bulk[0].isReserved && !bulk[1].isReserved, 'Bulk checks should use the automaton');
+});
+
+// Test 34: Bundled Word Lists
+testRunner.addTest('Bundled Word Lists', async () => {
+    const plain = new ReservedUsernames();
+    await plain.whenReady();
+    assert(!plain.isReserved('verified-news'), 'Word lists should be opt-in');
+    
+    const reservedUsernames = new ReservedUsernames({
+        normalization: true,
+        wordLists: {
+            offensive: { contains: true },
+            impersonation: { extend: ['spokesperson'], exclude: ['team'], allow: ['trustfund'], contains: true },
+            brands: { terms: ['acme'], contains: true }
+        },
+        categoryPolicies: { brands: 'review' }
+    });
+    await reservedUsernames.whenReady();
+    
+    const verified = reservedUsernames.checkDetailed('Verified-News');
+    assert(verified.isReserved && verified.list === 'impersonation' && verified.strategy === 'contains', 'Impersonation terms should be contained');
+    assert(verified.source === 'list' && verified.category === 'impersonation', 'List matches should name their list');
+    assert(reservedUsernames.checkDetailed('m0derat0r').strategy === 'normalized', 'Lists should use the normalization pipeline');
+    assert(reservedUsernames.isReserved('our-spokesperson'), 'Lists should be extendable');
+    assert(!reservedUsernames.isReserved('dreamteam') && !reservedUsernames.isReserved('trustfund'), 'Lists should be overridable');
+    assert(!reservedUsernames.isReserved('classic'), 'Short terms should not be contained');
+    
+    const both = reservedUsernames.validateUsername('official-porn');
+    assert(!both.isValid && both.lists.map(found => found.list).join(',') === 'offensive,impersonation', 'Every matching list should be reported');
+    assert(both.errors.includes('Username contains offensive language'), 'Offensive terms should have their own error');
+    assert(both.errors.includes('Username impersonates an official or staff account'), 'Impersonation should have its own error');
+    
+    const brand = reservedUsernames.validateUsername('acme-fans');
+    assert(brand.isValid && brand.requiresApproval && brand.warnings[0] === 'Username matches the brands list', 'Custom lists should follow their policy');
+    
+    reservedUsernames.updateWordList('brands', { add: ['globex'] });
+    assert(reservedUsernames.isReserved('globex-corp'), 'Lists should be extendable at runtime');
+    
+    // Substring matching is opt-in, so ordinary names containing short terms pass
+    const exact = new ReservedUsernames({ wordLists: { offensive: true, impersonation: true } });
+    await exact.whenReady();
+    ['grape', 'tycoon', 'analyst', 'scraper', 'steamboat', 'spicer', 'hitchcock', 'parsec'].forEach(name => {
+        assert(!exact.isReserved(name) && exact.validateUsername(name).isValid, `${name} should not match a word list`);
+    });
+    assert(exact.isReserved('admin') && exact.isReserved('Porn'), 'Bundled lists should still match whole names');
+    assert(!exact.isReserved('verified-news'), 'Bundled lists should not match substrings by default');
+    
+    // The instance contains option is the default for lists that leave it unset
+    const containing = new ReservedUsernames({ contains: true, wordLists: { offensive: true, impersonation: { contains: false } } });
+    await containing.whenReady();
+    assert(containing.checkDetailed('xfuckx').list === 'offensive', 'Lists should follow the instance contains option');
+    assert(!containing.isReserved('xstaffx'), 'Lists should keep their own contains setting');
+    
+    // A term already reported as reserved is not reported again by a list
+    const admin = exact.validateUsername('admin');
+    assert(admin.issues.map(issue => issue.code).join() === 'RESERVED', 'Reserved terms should not repeat as word list issues');
+    assert(admin.lists[0].term === 'admin', 'The list match should still be recorded');
+});
+
+// Test 35: Localized Messages
+testRunner.addTest('Localized Messages', async () => {
+    const { parseAcceptLanguage } = require('./lib/messages');
+    assert(parseAcceptLanguage('fr-CH, fr;q=0.9, en;q=0.8, *;q=0.5').join() === 'fr-CH,fr,en', 'Accept-Language should be ordered by quality');
+    
+    const reservedUsernames = new ReservedUsernames({
+        locales: { nl: { reserved: 'Gebruikersnaam is gereserveerd', minLength: 'Minimaal {min} tekens' } }
+    });
+    await reservedUsernames.whenReady();
+    
+    assert(reservedUsernames.validateUsername('jo', { minLength: 3 }).errors[0] === 'Username must be at least 3 characters', 'English should stay the default');
+    const german = reservedUsernames.validateUsername('jo', { minLength: 3 }, { locale: 'de-AT' });
+    assert(german.errors[0] === 'Der Benutzername muss mindestens 3 Zeichen lang sein', 'Regional locales should fall back to their language');
+    
+    const dutch = reservedUsernames.validateUsername('admin', { maxLength: 2 }, { locale: 'nl' });
+    assert(dutch.errors[0] === 'Gebruikersnaam is gereserveerd', 'Custom locales should be used');
+    assert(dutch.errors[1] === 'Username must be at most 2 characters', 'Missing keys should fall back to English');
+    
+    reservedUsernames.registerLocale('it', { reserved: 'Il nome utente è riservato' });
+    assert(reservedUsernames.formatMessage('reserved', {}, 'it-IT') === 'Il nome utente è riservato', 'Locales should be registrable at runtime');
+    
+    // Middleware reads Accept-Language
+    const middleware = ReservedUsernamesUtils.createExpressMiddleware(reservedUsernames);
+    const body = await new Promise(resolve => {
+        const res = { status() { return this; }, json: resolve };
+        middleware({ body: { username: 'admin' }, headers: { 'accept-language': 'es-MX,es;q=0.9' } }, res, () => resolve(null));
+    });
+    assert(body.error === 'El nombre de usuario está reservado', 'Middleware should answer in the requested language');
+    
+    // Joi messages come from the catalog
+    const schema = ReservedUsernamesUtils.createJoiValidator(reservedUsernames);
+    assert(schema.validate('admin').error.message === 'Username is reserved', 'Joi should use the default locale');
+    const french = schema.validate('admin', { errors: { language: 'fr' } });
+    assert(french.error.message === 'Ce nom d\'utilisateur est réservé', 'Joi should use the requested language');
+    const dutchSchema = ReservedUsernamesUtils.createJoiValidator(reservedUsernames, { locale: 'nl-BE' });
+    assert(dutchSchema.validate('admin').error.message === 'Gebruikersnaam is gereserveerd', 'Joi validators should accept a locale');
+});
+
+// Test 36: Structured Validation Errors
+testRunner.addTest('Structured Validation Errors', async () => {
+    const reservedUsernames = new ReservedUsernames({ categoryPolicies: { brand: 'warn' } });
+    await reservedUsernames.whenReady();
+    reservedUsernames.import(['acme'], 'array', { category: 'brand' });
+    
+    const rules = { minLength: 3, maxLength: 8, allowedChars: 'a-z0-9', forbiddenPatterns: ['^ad'] };
+    const all = reservedUsernames.validateUsername('Admin', rules);
+    assert(all.issues.map(issue => issue.code).join() === 'RESERVED,INVALID_CHARS,FORBIDDEN_PATTERN', 'Every failure should have a code');
+    assert(all.errors.length === 3 && all.errors[0] === all.issues[0].message && !all.isValid, 'The errors array should remain');
+    assert(all.issues[0].params.match === 'admin' && all.issues[0].severity === 'error', 'Reserved issues should carry the match');
+    assert(all.issues[1].params.chars.join('') === 'A', 'Offending characters should be reported');
+    assert(all.issues[2].params.pattern === '^ad', 'The matched pattern should be reported');
+    
+    const short = reservedUsernames.validateUsername('jo', rules);
+    assert(short.issues[0].code === 'TOO_SHORT' && short.issues[0].params.limit === 3 && short.issues[0].params.length === 2, 'Length issues should carry limits');
+    assert(reservedUsernames.validateUsername('johnathan', rules).issues[0].code === 'TOO_LONG', 'Long names should be TOO_LONG');
+    
+    const first = reservedUsernames.validateUsername('Admin', rules, { abortEarly: true });
+    assert(first.issues.length === 1 && first.errors.length === 1 && first.issues[0].code === 'RESERVED', 'abortEarly should stop at the first error');
+    
+    const brand = reservedUsernames.validateUsername('acme', { minLength: 6 }, { abortEarly: true });
+    assert(brand.isValid === false && brand.issues[0].severity === 'warning', 'Warnings should not stop validation');
+    assert(brand.issues[1].code === 'TOO_SHORT', 'Validation should continue past warnings');
+});
+
+// Test 37: Validation Presets and Rule Schema
+testRunner.addTest('Validation Presets and Rule Schema', async () => {
+    const reservedUsernames = new ReservedUsernames({
+        presets: { team: { preset: 'slug', maxLength: 20, allowDigitsOnly: false } }
+    });
+    await reservedUsernames.whenReady();
+    
+    const codes = (username, rules) => reservedUsernames.validateUsername(username, rules).issues.map(issue => issue.code).join();
+    
+    // GitHub-style handles
+    assert(reservedUsernames.validateUsername('octo-cat', 'github').isValid, 'Single inner hyphens should be valid');
+    assert(codes('-octocat', 'github') === 'INVALID_START', 'Leading hyphens should be rejected');
+    assert(codes('octocat-', 'github') === 'INVALID_END', 'Trailing hyphens should be rejected');
+    assert(codes('octo--cat', 'github') === 'CONSECUTIVE_SEPARATORS', 'Double hyphens should be rejected');
+    assert(codes('a'.repeat(40), 'github') === 'TOO_LONG', 'GitHub handles are limited to 39 characters');
+    
+    // Social handles and slugs
+    assert(codes('12345', 'social') === 'DIGITS_ONLY', 'Digits-only handles should be rejected');
+    assert(codes('jane..doe', 'social') === 'CONSECUTIVE_SEPARATORS', 'Consecutive periods should be rejected');
+    assert(reservedUsernames.validateUsername('jane.doe_1', 'social').isValid, 'Periods and underscores should be allowed');
+    assert(codes('jAne', 'slug') === 'INVALID_CHARS', 'Slugs should be lowercase');
+    
+    // Composition and extension
+    assert(codes('12345', 'team') === 'DIGITS_ONLY', 'Custom presets should extend built-in ones');
+    assert(codes('jane--doe', { preset: ['social', 'slug'] }) === 'CONSECUTIVE_SEPARATORS', 'Presets should compose left to right');
+    assert(codes('a'.repeat(25), { preset: 'github', maxLength: 24 }) === 'TOO_LONG', 'Own rules should override presets');
+    
+    // allowedChars is escaped
+    const brackets = reservedUsernames.validateUsername('a]b\\c', { allowedChars: 'a-c]\\' });
+    assert(brackets.isValid, 'Brackets and backslashes should be taken literally');
+    assert(codes('a-b', { allowedChars: 'a-c\\-' }) === '', 'Escaped hyphens should still work');
+    assert(reservedUsernames.validateUsername('john_1', { allowedChars: '\\w' }).isValid, 'Class escapes should keep their meaning');
+    assert(codes('john-1', { allowedChars: '\\w' }) === 'INVALID_CHARS', 'Class escapes should not widen the set');
+    
+    // Non-strings are invalid rather than a crash
+    [undefined, null, 42].forEach(value => {
+        const result = reservedUsernames.validateUsername(value, { minLength: 3 });
+        assert(!result.isValid && result.issues.map(issue => issue.code).join() === 'INVALID_CHARS', `${value} should be invalid`);
+    });
+    
+    // Schema errors surface up front
+    assert.throws(() => reservedUsernames.compileRules({ allowedChars: 'a-z_-.' }), /Invalid value for validation rule allowedChars/);
+    assert.throws(() => reservedUsernames.compileRules({ startChars: '\\a' }), /Invalid value for validation rule startChars/);
+    ['nope', { minLenght: 3 }, { maxLength: -1 }, { minLength: 5, maxLength: 2 }, { forbiddenPatterns: ['('] }].forEach(rules => {
+        let threw = false;
+        try {
+            reservedUsernames.compileRules(rules);
+        } catch (error) {
+            threw = true;
+        }
+        assert(threw, `Invalid rules should throw: ${JSON.stringify(rules)}`);
+    });
+    
+    // Compiled once, reused
+    const validate = reservedUsernames.createValidator({ preset: 'github', forbiddenPatterns: ['^bot'] });
+    assert(validate('botman').issues[0].code === 'FORBIDDEN_PATTERN' && validate('batman').isValid, 'Validators should be reusable');
+    const rules = { minLength: 3 };
+    assert(reservedUsernames.compileRules(rules) === reservedUsernames.compileRules(rules), 'Rule objects should be compiled once');
+});
+
+// Test 38: Subdomain Mode
+testRunner.addTest('Subdomain Mode', async () => {
+    assert.throws(() => new ReservedUsernames({ mode: 'nope' }), /Unknown mode/);
+    
+    const subdomains = new ReservedUsernames({ mode: 'subdomain', customReserved: ['café'] });
+    await subdomains.whenReady();
+    
+    ['www', 'mail', 'mx', 'ns1', 'autodiscover', '_dmarc', 'cdn'].forEach(label => {
+        assert(subdomains.isReserved(label), `${label} should be reserved in subdomain mode`);
+    });
+    assert(subdomains.checkDetailed('ns1').source === 'infrastructure', 'Infrastructure labels should have their own source');
+    assert(subdomains.checkDetailed('ｗｗｗ').isReserved, 'Labels should be checked in their ASCII form');
+    assert(subdomains.checkDetailed('Café').label === 'xn--caf-dma', 'IDNs should be converted to punycode');
+    assert(subdomains.isReserved('xn--caf-dma'), 'Reserved IDNs should match their punycode form');
+    
+    const plain = new ReservedUsernames();
+    await plain.whenReady();
+    assert(!plain.isReserved('autodiscover'), 'Infrastructure labels should only apply in subdomain mode');
+    
+    const codes = username => subdomains.validateUsername(username).issues.map(issue => issue.code).join();
+    assert(subdomains.validateUsername('acme-corp').isValid, 'Plain labels should be valid');
+    assert(subdomains.validateUsername('müller').isValid, 'IDN labels should be valid');
+    assert(codes('-acme') === 'LABEL_HYPHEN' && codes('acme-') === 'LABEL_HYPHEN', 'Leading and trailing hyphens should be rejected');
+    assert(codes('a'.repeat(64)) === 'LABEL_TOO_LONG', 'Labels are limited to 63 octets');
+    assert(codes('acme_corp') === 'INVALID_LABEL_CHARS' && codes('acme.corp') === 'INVALID_LABEL_CHARS', 'Only letters, digits and hyphens are allowed');
+    assert(codes('xn--caf-dma') === 'RESERVED,RESERVED_LABEL_PREFIX', 'Typed punycode should be rejected');
+    assert(codes('xn--mller-kva') === 'RESERVED_LABEL_PREFIX' && codes('ab--cd') === 'RESERVED_LABEL_PREFIX', 'Reserved prefixes should be rejected');
+    assert(codes('xn--zz') === 'INVALID_IDN', 'Invalid punycode should be rejected');
+    
+    // Number-like labels are valid DNS labels, not IPv4 addresses
+    assert(subdomains.validateUsername('123').isValid && subdomains.validateUsername('0x10').isValid, 'Numeric labels should be valid');
+    assert(subdomains.checkDetailed('123').label === '123' && subdomains.checkDetailed('0X10').label === '0x10', 'Numeric labels should keep their form');
+    subdomains.import(['404']);
+    assert(subdomains.isReserved('404'), 'Numeric labels should match reserved entries');
+    
+    const punycode = new ReservedUsernames({ mode: 'subdomain', subdomain: { allowPunycode: true, allowIDN: false } });
+    await punycode.whenReady();
+    assert(punycode.validateUsername('xn--mller-kva').isValid, 'allowPunycode should accept typed punycode');
+    assert(punycode.validateUsername('müller').issues[0].code === 'INVALID_IDN', 'allowIDN: false should reject IDNs');
+});
+
+// Test 39: Email Mode
+testRunner.addTest('Email Mode', async () => {
+    const email = new ReservedUsernames({ mode: 'email', customReserved: ['first.last'] });
+    await email.whenReady();
+    
+    ['postmaster', 'abuse', 'hostmaster', 'webmaster', 'noreply', 'mailer-daemon', 'security'].forEach(mailbox => {
+        assert(email.isReserved(mailbox), `${mailbox} should be reserved in email mode`);
+    });
+    assert(email.checkDetailed('mailer-daemon').source === 'mailbox' && email.checkDetailed('mailer-daemon').category === 'mailbox', 'Mailboxes should have their own source and category');
+    
+    const tagged = email.checkDetailed('Abuse+Reports@ourapp.com');
+    assert(tagged.isReserved && tagged.localPart === 'abuse' && tagged.match === 'abuse', 'Plus-addressing and domains should be ignored');
+    assert(email.isReserved('post.master') && email.isReserved('firstlast'), 'Dots should be ignored on both sides');
+    assert(!email.isReserved('jane.doe'), 'Ordinary names should be available');
+    
+    const plain = new ReservedUsernames();
+    await plain.whenReady();
+    assert(!plain.isReserved('mailer-daemon'), 'Mailboxes should only apply in email mode');
+    
+    const codes = username => email.validateUsername(username).issues.map(issue => issue.code).join();
+    assert(email.validateUsername('jane.doe').isValid, 'Dotted local parts should be valid');
+    assert(codes('.jane') === 'LOCAL_PART_DOTS' && codes('jane..doe') === 'LOCAL_PART_DOTS', 'Misplaced dots should be rejected');
+    assert(codes('jane doe') === 'INVALID_LOCAL_CHARS' && codes('jöhn') === 'INVALID_LOCAL_CHARS', 'Invalid characters should be rejected');
+    assert(codes('jane+news') === 'PLUS_ADDRESS', 'Plus signs should be rejected when plus-addressing is on');
+    assert(codes('a'.repeat(65)) === 'LOCAL_PART_TOO_LONG', 'Local parts are limited to 64 octets');
+    assert(codes('abuse+x').startsWith('RESERVED'), 'Plus-addressed mailboxes should be reserved');
+    
+    const literal = new ReservedUsernames({ mode: 'email', email: { plusAddressing: false, ignoreDots: false, allowUnicode: true } });
+    await literal.whenReady();
+    assert(!literal.isReserved('post.master') && !literal.isReserved('abuse+x'), 'Normalization should be configurable');
+    assert(literal.validateUsername('jöhn').isValid, 'allowUnicode should accept internationalized local parts');
+    
+    // Middleware reports the canonical local part
+    const middleware = ReservedUsernamesUtils.createExpressMiddleware(email, { fields: ['email'] });
+    const body = await new Promise(resolve => {
+        const res = { status() { return this; }, json: resolve };
+        middleware({ body: { email: 'no.reply+x@ourapp.com' }, headers: {} }, res, () => resolve(null));
+    });
+    assert(body && body.reason.localPart === 'noreply', 'Middleware should check canonical local parts');
+});
+
+// Test 40: Suggestion Engine
+testRunner.addTest('Suggestion Engine', async () => {
+    const { transliterate, splitWords, generateCandidates } = require('./lib/suggestions');
+    assert(transliterate('Jürgen_Straße') === 'Jurgen_Strasse', 'Latin letters should be transliterated');
+    assert(transliterate('иван') === 'ivan', 'Cyrillic should be transliterated');
+    assert(splitWords('johnDoe2024').join() === 'john,Doe,2024', 'Names should split into words');
+    
+    const candidates = generateCandidates('jane doe', { year: 2024 }).map(candidate => candidate.username);
+    ['janedoe', 'jane-doe', 'jane_doe', 'jane.doe'].forEach(name => assert(candidates.includes(name), `${name} should be a separator variant`));
+    const camel = generateCandidates('JohnSmith', { year: 2024 }).map(candidate => candidate.username);
+    ['john-smith', 'john_smith', 'john.smith', 'smithjohn', 'smith.john'].forEach(name => assert(camel.includes(name), `${name} should be suggested for JohnSmith`));
+    assert(camel.every(name => name === name.toLowerCase()), 'Candidates should be lowercased after splitting');
+    const years = generateCandidates('jane', { year: 2024, strategies: ['years'] }).map(candidate => candidate.username);
+    assert(years.includes('jane2024') && years.includes('jane_24'), 'Year suffixes should be generated');
+    const ranked = generateCandidates('jane', { year: 2024 });
+    assert(ranked.every((candidate, index) => index === 0 || ranked[index - 1].distance <= candidate.distance), 'Candidates should be ranked by similarity');
+    
+    const reservedUsernames = new ReservedUsernames({ customReserved: ['jane'] });
+    await reservedUsernames.whenReady();
+    
+    // Batched isTaken with both result shapes
+    const users = new Set(['jane1', 'jane2', 'jane_1', 'jane3']);
+    const calls = [];
+    const suggestions = await reservedUsernames.suggest('Jane', {
+        count: 6,
+        batchSize: 4,
+        isTaken: async names => {
+            calls.push(names.length);
+            return names.map(name => users.has(name));
+        }
+    });
+    assert(suggestions.length === 6, 'Exactly count names should be returned');
+    assert(suggestions.every(name => !users.has(name) && !reservedUsernames.isReserved(name)), 'Suggestions should be available');
+    assert(calls.length > 1 && calls.every(size => size <= 4), 'isTaken should be called in batches');
+    
+    const takenList = await reservedUsernames.suggest('jane', { count: 3, isTaken: async names => names.filter(name => users.has(name)) });
+    assert(takenList.length === 3 && !takenList.some(name => users.has(name)), 'isTaken may resolve to the taken names');
+    
+    // Validation rules and transliteration
+    const slugs = await reservedUsernames.suggest('Jane', { count: 5, rules: 'slug' });
+    assert(slugs.every(name => reservedUsernames.validateUsername(name, 'slug').isValid), 'Suggestions should respect validation rules');
+    const ascii = await reservedUsernames.suggest('Jürgen', { count: 3, rules: 'github' });
+    assert(ascii[0] === 'jurgen' && ascii.length === 3, 'Non-ASCII names should be transliterated');
+    
+    // Available names come first; casing follows the instance policy
+    assert((await reservedUsernames.suggest('newbie', { count: 2 }))[0] === 'newbie', 'Available originals should be suggested first');
+    const cased = new ReservedUsernames({ caseSensitive: true, customReserved: ['JaneDoe'] });
+    await cased.whenReady();
+    const casedSuggestions = await cased.suggest('JaneDoe', { count: 3 });
+    assert(casedSuggestions.every(name => name.startsWith('JaneDoe') || name.includes('Jane')), 'Case-sensitive instances should keep casing');
+    assert(reservedUsernames.suggestAlternatives('jane', 3).length === 3, 'suggestAlternatives should keep working');
+    
+    // Names blocked for a contained term or a glob are offered without it
+    const globbed = new ReservedUsernames({ customReserved: ['*admin*'] });
+    const containing = new ReservedUsernames({ contains: true });
+    await Promise.all([globbed.whenReady(), containing.whenReady()]);
+    const withoutTerm = await globbed.suggest('adminteam', { count: 3 });
+    assert(withoutTerm.length === 3 && withoutTerm.every(name => name.includes('team') && !name.includes('admin')), 'Glob terms should be dropped');
+    assert(globbed.suggestAlternatives('admin-team', 3).length === 3, 'suggestAlternatives should drop blocked terms too');
+    const contained = await containing.suggest('adminTeam', { count: 3 });
+    assert(contained.length === 3 && contained.every(name => !containing.isReserved(name)), 'Contained terms should be dropped');
+    
+    // Hopeless names give up after a bounded number of candidates
+    const everything = new ReservedUsernames({ customReserved: ['*'] });
+    await everything.whenReady();
+    let checked = 0;
+    const isReserved = everything.isReserved.bind(everything);
+    everything.isReserved = (...args) => {
+        checked++;
+        return isReserved(...args);
+    };
+    assert((await everything.suggest('anything', { maxCandidates: 50 })).length === 0 && checked <= 50, 'maxCandidates should bound the search');
+    checked = 0;
+    assert(everything.suggestAlternatives('anything').length === 0 && checked <= 1001, 'suggestAlternatives should stop after the default bound');
+});
+
+// Test 41: Username Holds
+testRunner.addTest('Username Holds', async () => {
+    const { MemoryHoldStore } = require('./lib/holds');
+    
+    // Manual clock: tick(ms) advances time and runs due timers
+    let time = 1000;
+    let timers = [];
+    const clock = {
+        now: () => time,
+        setTimeout: (fn, ms) => {
+            const timer = { at: time + ms, fn };
+            timers.push(timer);
+            return timer;
+        },
+        clearTimeout: timer => {
+            timers = timers.filter(pending => pending !== timer);
+        },
+        tick: ms => {
+            time += ms;
+            const due = timers.filter(timer => timer.at <= time);
+            timers = timers.filter(timer => timer.at > time);
+            due.forEach(timer => timer.fn());
+        }
+    };
+    
+    const store = new MemoryHoldStore();
+    const first = new ReservedUsernames({ customReserved: ['admin'], holds: { store, clock, ttl: 60000 } });
+    const second = new ReservedUsernames({ holds: { store, clock } });
+    await Promise.all([first.whenReady(), second.whenReady()]);
+    
+    const hold = await first.hold('Jane', 'signup-1');
+    assert(hold && hold.username === 'jane' && hold.expiresAt === 61000, 'hold() should resolve to the hold');
+    assert(await first.hold('admin', 'signup-1') === null, 'Reserved names cannot be held');
+    assert(await second.hold('jane', 'signup-2') === null, 'Names held by another owner cannot be held');
+    
+    // Held names are unavailable to everyone but their owner, on every instance sharing the store
+    assert(second.isReserved('jane') && !second.isAvailable('jane', 'signup-2'), 'Held names should be unavailable to others');
+    assert(first.isAvailable('JANE', 'signup-1') && !first.isReserved('jane', { ownerId: 'signup-1' }), 'Owners should see their own hold as available');
+    const detail = second.checkDetailed('jane');
+    assert(detail.strategy === 'held' && detail.source === 'hold' && detail.heldUntil === 61000, 'checkDetailed should explain holds');
+    const validation = second.validateUsername('jane', {}, { locale: 'es' });
+    assert(validation.issues[0].code === 'HELD' && /retenido/.test(validation.errors[0]), 'Validation should report holds');
+    assert((await first.suggest('jane', { count: 3, ownerId: 'signup-1' }))[0] === 'jane', 'Owners should be suggested their own hold');
+    assert(!(await second.suggest('jane', { count: 3 })).includes('jane'), 'Held names should not be suggested to others');
+    
+    // Middleware: 409 for others, pass-through for the owner
+    const middleware = ReservedUsernamesUtils.createExpressMiddleware(second, { ownerId: req => req.session.id });
+    const invoke = req => new Promise(resolve => {
+        const res = { status(code) { this.statusCode = code; return this; }, json(body) { resolve({ status: this.statusCode, body }); } };
+        middleware(Object.assign({ headers: {} }, req), res, () => resolve(null));
+    });
+    const rejected = await invoke({ body: { username: 'jane' }, session: { id: 'signup-2' } });
+    assert(rejected.status === 409 && rejected.body.reason.strategy === 'held', 'Middleware should reject names held by others');
+    assert(await invoke({ body: { username: 'jane' }, session: { id: 'signup-1' } }) === null, 'Middleware should let the owner through');
+    
+    // extend, expiry events and release
+    const expired = [];
+    second.on('holdExpired', expiredHold => expired.push(expiredHold.username));
+    clock.tick(50000);
+    const extended = await first.extend('jane', 'signup-1', 30000);
+    assert(extended && extended.expiresAt === 81000 && extended.createdAt === 1000, 'extend() should move the expiry');
+    assert(await first.extend('jane', 'signup-2') === null, 'Only the owner can extend a hold');
+    clock.tick(20000);
+    assert(second.isReserved('jane') && expired.length === 0, 'Extended holds should outlive their first ttl');
+    clock.tick(10000);
+    assert(expired.join() === 'jane' && second.isAvailable('jane', 'signup-2'), 'Holds should expire on the clock');
+    assert((await store.list()).length === 0, 'Expired holds should leave the store');
+    
+    await second.hold('jane', 'signup-2', 5000);
+    assert(!(await second.release('jane', 'signup-1')), 'Only the owner can release a hold');
+    assert(await second.release('jane', 'signup-2') && first.isAvailable('jane'), 'release() should free the name');
+    
+    // Lazy expiry without timers
+    await first.hold('bob', 'signup-1', 1000);
+    time += 1000;
+    assert(first.getHold('bob') === null && second.isAvailable('bob'), 'Holds past their expiry should not count');
+    
+    // Holds longer than the longest timer delay re-arm the timer instead of firing early
+    const month = 30 * 24 * 60 * 60 * 1000;
+    await first.hold('dave', 'signup-1', month);
+    assert(timers.every(timer => timer.at - time <= 2147483647), 'Timer delays should be capped');
+    clock.tick(2147483647);
+    assert(first.getHold('dave') !== null, 'Long holds should survive a capped timer');
+    assert(timers.length > 0 && timers.every(timer => timer.at - time <= 2147483647), 'Capped timers should re-arm');
+    clock.tick(month - 2147483647);
+    assert(first.getHold('dave') === null && timers.length === 0, 'Long holds should expire on time');
+    
+    await assert.rejects(first.hold('carol', ''), /owner/, 'Holds need an owner');
+    await assert.rejects(first.hold('carol', 'signup-1', -1), /ttl/, 'Holds need a positive ttl');
+    first.close();
+    second.close();
+});
+
 // Run all tests
 if (require.main === module) {
     testRunner.runAllTests()